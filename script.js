@@ -6,21 +6,31 @@ class FullscreenImageZoom {
     /**
      * Create a new fullscreen image zoom instance.
      * 
-     * Initializes the zoom component with Swedish design system styling
-     * and sets up all necessary state for desktop and mobile interactions.
+     * Initializes the zoom component inside the given root element. Every
+     * DOM lookup is scoped to that root, so several independent viewers
+     * can live on the same page.
      * 
      * @constructor
+     * @param {HTMLElement} root - Element containing the viewer markup
+     * @param {Object} [options] - Overrides for FullscreenImageZoom.defaults
      */
-    constructor() {
-        this.imageElement = document.querySelector('.image-container img');
-        this.container = document.querySelector('.image-container');
+    constructor(root, options = {}) {
+        this.root = root;
+        this.options = {
+            ...FullscreenImageZoom.defaults,
+            ...options,
+            selectors: { ...FullscreenImageZoom.defaults.selectors, ...options.selectors }
+        };
+        
+        this.imageElement = this.query('image');
+        this.container = this.query('container');
         
         // Configuration
-        this.minZoom = 0.5;
-        this.maxZoom = 5;
-        this.zoomStep = 0.5;
+        this.minZoom = this.options.minZoom !== null ? this.options.minZoom : 0.5;
+        this.maxZoom = this.options.maxZoom;
+        this.zoomStep = this.options.zoomStep; // Multiplicative factor per zoom in/out step
         this.absoluteMinZoom = 0.25; // Hard minimum to prevent extreme zoom out
-        this.initialFitMode = 'cover'; // 'cover' fills viewport, 'contain' fits entire image
+        this.initialFitMode = this.options.initialFitMode; // 'cover' fills viewport, 'contain' fits entire image
         
         // State
         this.currentZoom = 1;
@@ -28,839 +38,6528 @@ class FullscreenImageZoom {
         this.translateY = 0;
         this.initialScale = 1;
         
-        // Touch/drag state
+        // Orientation: rotation in degrees (clockwise) and mirroring, applied
+        // before the rotation. orientation is what reset() returns to, e.g.
+        // the image's EXIF orientation
+        this.rotation = 0;
+        this.flipX = false;
+        this.flipY = false;
+        this.orientation = { rotation: 0, flipX: false, flipY: false };
+        
+        // Pointer/drag state
         this.isDragging = false;
         this.startX = 0;
         this.startY = 0;
-        this.lastTouchDistance = 0;
-        this.touchStartX = 0;
-        this.touchStartY = 0;
+        this.pointers = new Map(); // Active pointers by pointerId: {x, y}
+        this.lastPointerType = null;
+        this.pointerStartX = 0;
+        this.pointerStartY = 0;
+        this.pointerStartTime = 0;
+        this.panSamples = []; // Recent {x, y, time} translations for release velocity
         
         // Pinch gesture state
         this.initialPinchCenter = { x: 0, y: 0 };
         this.initialPinchImagePercent = { x: 0.5, y: 0.5 };
         this.initialPinchZoom = 1;
         this.initialPinchTranslate = { x: 0, y: 0 };
-          // Zoom indicator elements
-        this.zoomIndicator = document.querySelector('.zoom-indicator');
+        this.initialPinchDistance = 0;
+        this.initialPinchAngle = 0;
+        this.initialPinchRotation = 0;
+        this.pinchRotationOffset = null; // Angle at which a pinch started rotating, null until it does
+        this.pinchRotated = false;
+        
+        // Double-tap state: the last completed tap, and an active double-tap-and-drag zoom
+        this.lastTap = null;
+        this.tapZoom = null;
+        
+        // Navigator state: the pointer dragging the viewport rectangle in the zoom indicator
+        this.navigatorPointer = null;
+        
+        // Public event state: the active gesture and the last view that was reported
+        this.activeGesture = null;
+        this.lastEmittedView = { zoom: null, translateX: null, translateY: null, rotation: null, flipX: null, flipY: null };
+        
+        // Animation state, animationTarget is the view a running animation is heading to
+        this.animationFrame = null;
+        this.animationTarget = null;
+        
+        // Optional UI elements, any of these may be missing from the markup
+        this.zoomIndicator = this.query('indicator');
+        this.navigatorThumbnail = this.query('navigatorThumbnail');
+        this.navigatorViewport = this.query('navigatorViewport');
+        this.announcer = this.query('announcer');
+        this.help = this.query('help');
+        this.closeHelpBtn = this.query('closeHelp');
+        this.zoomInBtn = this.query('zoomIn');
+        this.zoomOutBtn = this.query('zoomOut');
+        this.resetBtn = this.query('reset');
+        this.closeBtn = this.query('close');
+        this.rotateLeftBtn = this.query('rotateLeft');
+        this.rotateRightBtn = this.query('rotateRight');
+        this.flipHorizontalBtn = this.query('flipHorizontal');
+        this.flipVerticalBtn = this.query('flipVertical');
+        this.editBtn = this.query('edit');
+        this.undoBtn = this.query('undo');
+        this.redoBtn = this.query('redo');
+        this.noteEditor = this.query('noteEditor');
+        this.compareModeBtn = this.query('compareMode');
+        this.downloadBtn = this.query('download');
+        this.downloadOriginalBtn = this.query('downloadOriginal');
+        this.loupeBtn = this.query('loupe');
+        this.prevBtn = this.query('prev');
+        this.nextBtn = this.query('next');
+        this.caption = this.query('caption');
+        this.loadingIndicator = this.query('loading');
+        this.errorMessage = this.query('error');
+        this.retryBtn = this.query('retry');
+        
+        // Loading state: null, 'loading', 'loaded' or 'error'
+        this.loadState = null;
+        
+        // Progressive loading state. imageSize is the natural size of the
+        // full-resolution image, which the smaller sources are stretched to;
+        // displayedSource is an index in sources, or -1 while the preview shows
+        this.sources = this.options.previewSrc || this.options.srcset.length > 0 ? this.getProgressiveSources() : [];
+        this.displayedSource = -1;
+        this.displayedWidth = 0;
+        this.imageSize = null;
+        
+        // Annotations by id in image percentages, rendered by the annotation layer while mounted
+        this.annotations = new Map();
+        this.annotationLayer = null;
+        this.annotationCount = 0;
+        this.pointerStartTarget = null;
+        this.options.annotations.forEach((annotation) => this.addAnnotation(annotation));
+        
+        // Edit mode state: the shape being drawn, undo/redo stacks of annotation
+        // snapshots and the annotation whose note is open in the editor
+        this.isEditing = false;
+        this.drawing = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.editingAnnotation = null;
+        
+        // Compare mode: a second image sharing the view, in split panes or
+        // behind a swipe divider at compareDivider (0-1 of the width)
+        this.compareLayer = null;
+        this.compareMode = this.options.compareMode;
+        this.compareDivider = this.options.compareDivider;
+        
+        // Loupe mode: a magnifier follows the pointer instead of panning,
+        // loupeZoom times the current scale, after holding a touch this long
+        this.loupe = null;
+        this.isLoupeMode = false;
+        this.loupeZoom = this.options.loupeZoom;
+        this.loupePointer = null;
+        this.loupeHoldTimer = null;
+        
+        // Launcher mode: whether the overlay is open, what to restore on
+        // close and the thumbnail rect the open transition starts from
+        this.isOpen = false;
+        this.isFullscreen = false;
+        this.openState = null;
+        this.openTransitionFrom = null;
+        
+        // Container size all geometry is based on, kept up to date by handleResize()
+        this.containerSize = null;
+        this.resizeObserver = null;
         
-        this.init();
+        // Language of labels and announcements, and the writing direction
+        this.locale = this.getLocale();
+        this.strings = {
+            ...FullscreenImageZoom.messages.sv,
+            ...FullscreenImageZoom.getCatalogue(this.locale),
+            ...this.options.messages
+        };
+        this.dir = this.getDirection();
+        
+        // Pending debounced position announcement, and where focus goes
+        // back to when the keyboard help closes
+        this.announceTimer = null;
+        this.helpReturnFocus = null;
+        
+        // Keyboard shortcuts: what each action does and the key
+        // combinations bound to it, see FullscreenImageZoom.keymap
+        this.keyActions = { ...FullscreenImageZoom.keyActions, ...this.options.keyActions };
+        this.keymap = this.parseKeymap({ ...FullscreenImageZoom.keymap, ...this.options.keymap });
+        
+        // Deep zoom state, set once a tile source has loaded
+        this.tileSource = null;
+        this.tileLayer = null;
+        
+        // Deep link state: the parsed link waiting for its image to load, the
+        // pending throttled URL update and when the view last changed
+        this.deepLinkKey = this.getDeepLinkKey();
+        this.pendingDeepLink = null;
+        this.isRestoringDeepLink = false;
+        this.deepLinkTimer = null;
+        this.deepLinkPush = false;
+        this.lastViewChange = null;
+        
+        // Gallery state, zoom states are kept per image index when rememberZoom is set
+        this.images = this.options.images;
+        this.currentIndex = Math.min(Math.max(this.options.startIndex, 0), Math.max(this.images.length - 1, 0));
+        this.imageStates = new Map();
+        
+        // Lifecycle state, every listener is recorded so destroy() can detach
+        // it, and every markup value mount() changes so it can be restored
+        this.listeners = [];
+        this.savedMarkup = [];
+        this.isMounted = false;
+        
+        this.mount();
     }
 
     /**
-     * Initialize the zoom component.
+     * Find an element of the viewer by its configured selector.
      * 
-     * Sets up event listeners and calculates the initial image scale
-     * to ensure proper display across different screen sizes.
+     * Lookups are scoped to the root element so that one instance
+     * never picks up the controls of another viewer on the page.
      * 
-     * @return {void}
+     * @param {string} name - Key in options.selectors
+     * @return {HTMLElement|null} The matching element, if any
      */
-    init() {        
-        this.setupEventListeners();
-        
-        // Initialize once image is ready
-        this.initializeImageScale();
+    query(name) {
+        return this.root.querySelector(this.options.selectors[name]);
     }
 
     /**
-     * Initialize image scale once the image is ready.
-     * 
-     * Handles both already-loaded images and images that need to load,
-     * then performs the initial setup sequence in a single elegant flow.
-     * 
-     * @return {void}
-     */    initializeImageScale() {
-        const setupImage = () => {
-            this.calculateInitialScale();
-            this.updateTransform();
-            this.updateButtons();
-        };
-
-        this.imageElement.complete ? setupImage() : this.imageElement.addEventListener('load', setupImage);
-    }
-    
-    /**
-     * Calculate the initial scale based on configured fit mode.
-     * 
-     * Determines the scale factor for initial display:
-     * - 'cover': Image fills entire viewport (may crop edges)
-     * - 'contain': Entire image is visible within viewport
+     * Mount the zoom component.
      * 
-     * Always allows zooming out to see the whole image regardless of initial mode.
+     * Sets up event listeners and calculates the initial image scale
+     * to ensure proper display across different screen sizes. Called
+     * by the constructor, and can be called again after destroy()
+     * to bring the same instance back to life.
      * 
      * @return {void}
-     */    
-    calculateInitialScale() {
-        // Use window dimensions for more reliable mobile viewport
-        const containerWidth = window.innerWidth;
-        const containerHeight = window.innerHeight;
+     */
+    mount() {
+        if (this.isMounted) return;
+        this.isMounted = true;
         
-        // Get natural image dimensions
-        const imgWidth = this.imageElement.naturalWidth;
-        const imgHeight = this.imageElement.naturalHeight;
+        this.setupEventListeners();
+        this.localize();
+        this.renderKeyHelp();
         
-        if (imgWidth === 0 || imgHeight === 0) {
-            // Image not loaded yet, set a fallback
-            this.initialScale = 1;
-            this.currentZoom = 1;
-            return;
+        // A launcher is a modal overlay that stays hidden until open()
+        if (this.options.launcher) {
+            ['role', 'aria-modal', 'hidden'].forEach((name) => this.saveMarkup(this.root, name));
+            this.root.setAttribute('role', 'dialog');
+            this.root.setAttribute('aria-modal', 'true');
+            this.root.hidden = !this.isOpen;
         }
+        this.containerSize = this.measureContainer();
         
-        const scaleX = containerWidth / imgWidth;
-        const scaleY = containerHeight / imgHeight;
+        this.annotationLayer = new AnnotationLayer(this);
+        this.annotations.forEach((annotation) => this.annotationLayer.add(annotation));
+        this.setEditMode(this.options.editMode);
+        this.setCompare(this.options.compare);
+        this.loupe = new Loupe(this);
+        this.setLoupeMode(this.options.loupe);
         
-        // Set initial scale based on configured fit mode
-        if (this.initialFitMode === 'cover') {
-            // Use the larger scale to fill the viewport (may crop image)
-            this.initialScale = Math.max(scaleX, scaleY);
-        } else {
-            // Use the smaller scale to fit the entire image within the viewport
-            this.initialScale = Math.min(scaleX, scaleY);
+        // Deep zoom images have no single original file to download
+        if (this.downloadOriginalBtn) {
+            this.downloadOriginalBtn.hidden = Boolean(this.options.tileSource);
         }
         
-        this.currentZoom = this.initialScale;
-        
-        // Always set minZoom to allow seeing the entire image
-        // This ensures you can zoom out to see the whole image regardless of initial mode
-        const fitToViewportScale = Math.min(scaleX, scaleY);
-        this.minZoom = fitToViewportScale;
+        // A deep link is applied once its image has loaded, and may pick the gallery image
+        if (this.options.deepLink) {
+            this.pendingDeepLink = this.readDeepLink();
+            
+            const index = this.pendingDeepLink ? this.findImageIndex(this.pendingDeepLink.image) : -1;
+            if (index !== -1) {
+                this.currentIndex = index;
+            }
+        }
         
+        // Initialize once image is ready
+        if (this.options.tileSource) {
+            this.loadTileSource();
+        } else if (this.images.length > 0) {
+            this.showImage(this.currentIndex);
+        } else if (this.sources.length > 0) {
+            this.loadProgressive();
+        } else {
+            this.initializeImageScale();
+        }
     }
-    
+
     /**
-     * Set up all event listeners for desktop and mobile interactions.
+     * Tear down the zoom component and restore the DOM.
      * 
-     * Configures button clicks, keyboard shortcuts, mouse events,
-     * touch gestures, and accessibility features. Mouse events are
-     * attached at document level to track drags outside container.
+     * Detaches every listener added by this instance, including the ones
+     * on document and window, clears the inline styles and classes set
+     * while zooming and dragging, and puts back the attributes and texts
+     * mount() changed. The instance stays inert until mount() is called
+     * again.
      * 
      * @return {void}
-     */      
-    setupEventListeners() {
-        const zoomInBtn = document.querySelector('[data-action="zoom-in"]');
-        const zoomOutBtn = document.querySelector('[data-action="zoom-out"]');
-        const resetBtn = document.querySelector('[data-action="reset"]');
-        const closeBtn = document.querySelector('[data-action="close"]');
+     */
+    destroy() {
+        if (!this.isMounted) return;
         
-        zoomInBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.zoomIn();
-        });
-        zoomOutBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.zoomOut();
-        });
-        resetBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.reset();
-        });
-        closeBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.close();
+        if (this.isOpen) {
+            this.dismiss();
+        }
+        
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
         });
+        this.listeners = [];
+        this.cancelAnimation();
         
-        // Keyboard navigation support
-        document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        this.containerSize = null;
+        
+        clearTimeout(this.deepLinkTimer);
+        this.deepLinkTimer = null;
+        this.pendingDeepLink = null;
+        this.lastViewChange = null;
         
-        // Mouse events for desktop - attach to container, not image
-        this.container.addEventListener('mousedown', (e) => this.startDrag(e));
-        document.addEventListener('mousemove', (e) => this.drag(e));
-        document.addEventListener('mouseup', (e) => this.endDrag(e));
+        if (this.isDragging) {
+            document.body.style.cursor = '';
+        }
+        this.isDragging = false;
+        this.tapZoom = null;
+        this.lastTap = null;
+        this.pointers.clear();
+        this.navigatorPointer = null;
+        this.activeGesture = null;
+        this.lastEmittedView = { zoom: null, translateX: null, translateY: null, rotation: null, flipX: null, flipY: null };
         
-        this.container.addEventListener('wheel', (e) => this.handleWheel(e));
+        this.imageElement.classList.remove('dragging');
+        this.imageElement.style.transform = '';
         
-        this.container.addEventListener('touchstart', (e) => this.handleTouchStart(e));
-        this.container.addEventListener('touchmove', (e) => this.handleTouchMove(e));
-        this.container.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+        if (this.tileLayer) {
+            this.tileLayer.destroy();
+            this.tileLayer = null;
+            this.tileSource = null;
+            this.imageElement.hidden = false;
+        }
         
-        // Prevent context menu
-        this.container.addEventListener('contextmenu', (e) => e.preventDefault());        // Handle viewport changes on mobile
-        window.addEventListener('resize', () => {
-            this.calculateInitialScale();
-            // Ensure current zoom respects new minimum zoom after resize
-            if (this.currentZoom < this.minZoom) {
-                this.currentZoom = this.minZoom;
+        this.closeNoteEditor();
+        this.drawing = null;
+        if (this.compareLayer) {
+            this.compareLayer.destroy();
+            this.compareLayer = null;
+        }
+        this.hideLoupe();
+        this.loupe.destroy();
+        this.loupe = null;
+        this.container.classList.remove('is-loupe');
+        this.container.classList.remove('is-compare-split');
+        this.container.classList.remove('is-editing');
+        this.annotationLayer.destroy();
+        this.annotationLayer = null;
+        this.pointerStartTarget = null;
+        
+        this.sources.forEach((source) => {
+            if (source.loader) {
+                source.loader.onload = source.loader.onerror = null;
             }
-            this.updateTransform();
-            this.updateButtons();
+            source.loader = null;
+            source.status = null;
         });
+        this.imageSize = null;
+        this.imageElement.style.width = '';
+        this.imageElement.style.height = '';
         
-        this.preventBrowserZoom();
-    }    
+        this.setLoadState(null);
+        this.container.removeAttribute('aria-busy');
+        
+        if (this.zoomIndicator) {
+            this.zoomIndicator.classList.remove('visible');
+        }
+        clearTimeout(this.announceTimer);
+        this.announceTimer = null;
+        if (this.announcer) {
+            this.announcer.textContent = '';
+        }
+        if (this.help) {
+            this.help.hidden = true;
+            this.helpReturnFocus = null;
+        }
+        [this.zoomInBtn, this.zoomOutBtn, this.prevBtn, this.nextBtn].forEach((button) => {
+            if (button) button.disabled = false;
+        });
+        
+        // Put back the roles, direction and texts of the markup
+        this.savedMarkup.forEach(({ element, name, value }) => {
+            if (name === null) {
+                element.textContent = value;
+            } else if (value === null) {
+                element.removeAttribute(name);
+            } else {
+                element.setAttribute(name, value);
+            }
+        });
+        this.savedMarkup = [];
+        
+        this.isMounted = false;
+    }
     
     /**
-     * Prevent browser zoom shortcuts from interfering.
+     * Remember a value of the markup before mount() changes it.
      * 
-     * Blocks Ctrl+/-/0 keyboard shortcuts and Ctrl+wheel events
-     * to prevent browser zoom from conflicting with custom zoom.
-     * Uses passive:false to enable preventDefault on wheel events.
+     * Only the first value is kept, so destroy() restores the markup as
+     * it was before mounting.
      * 
+     * @param {HTMLElement} element - Element about to change
+     * @param {string|null} name - Attribute name, null for the text content
      * @return {void}
      */
-    preventBrowserZoom() {
-        document.addEventListener('keydown', (e) => {
-            if ((e.ctrlKey || e.metaKey) && (e.key === '+' || e.key === '-' || e.key === '0')) {
-                e.preventDefault();
-            }
-        });
+    saveMarkup(element, name) {
+        if (this.savedMarkup.some((saved) => saved.element === element && saved.name === name)) return;
         
-        document.addEventListener('wheel', (e) => {
-            if (e.ctrlKey || e.metaKey) {
-                e.preventDefault();
-            }
-        }, { passive: false });
+        const value = name === null ? element.textContent : element.getAttribute(name);
+        this.savedMarkup.push({ element, name, value });
     }
-    
+
     /**
-     * Handle keyboard navigation and accessibility shortcuts.
+     * Dispatch a public event from the container and call its callback.
      * 
-     * Supports zoom shortcuts (+, -, 0), navigation arrows,
-     * and escape key. Provides screen reader announcements
-     * for accessibility compliance.
+     * Events bubble from the image container so they can be observed on
+     * the root as well. The detail always carries the current view
+     * (zoom, translation and visible region), merged with any extra
+     * fields. The matching on* option from FullscreenImageZoom.events
+     * is called with the same event object.
      * 
-     * @param {KeyboardEvent} e - The keyboard event object
-     * @return {void}
+     * @param {string} type - Event name, e.g. 'zoomchange'
+     * @param {Object} [detail] - Extra detail fields
+     * @param {boolean} [cancelable] - Whether listeners may cancel the default action
+     * @return {boolean} False if a listener called preventDefault()
      */
-    handleKeyboard(e) {
-        switch(e.key) {
-            case '+':
-            case '=':
-                e.preventDefault();
-                this.zoomIn();
-                break;
-            case '-':
-                e.preventDefault();
-                this.zoomOut();
-                break;
-            case '0':
-                e.preventDefault();
-                this.reset();
-                break;
-            case 'Escape':
-                e.preventDefault();
-                this.close();
-                break;
-            case 'ArrowLeft':
-                e.preventDefault();
-                this.translateX += 50;
-                this.updateTransform();
-                this.announcePosition();
-                break;
-            case 'ArrowRight':
-                e.preventDefault();
-                this.translateX -= 50;
-                this.updateTransform();
-                this.announcePosition();
-                break;
-            case 'ArrowUp':
-                e.preventDefault();
-                this.translateY += 50;
-                this.updateTransform();
-                this.announcePosition();
-                break;
-            case 'ArrowDown':
-                e.preventDefault();
-                this.translateY -= 50;
-                this.updateTransform();
-                this.announcePosition();
-                break;
+    emit(type, detail = {}, cancelable = false) {
+        const event = new CustomEvent(type, {
+            bubbles: true,
+            cancelable,
+            detail: { ...this.getState(), ...detail }
+        });
+        
+        this.container.dispatchEvent(event);
+        
+        const callback = this.options[FullscreenImageZoom.events[type]];
+        if (typeof callback === 'function') {
+            callback.call(this, event);
         }
+        
+        return !event.defaultPrevented;
     }
-    
+
+    /**
+     * Get a snapshot of the current view.
+     * 
+     * @return {Object} State: {zoom, zoomLevel, translateX, translateY, rotation, flipX, flipY, visibleRegion}
+     */
+    getState() {
+        return {
+            zoom: this.currentZoom,
+            zoomLevel: this.getZoomLevel(),
+            translateX: this.translateX,
+            translateY: this.translateY,
+            rotation: ((this.rotation % 360) + 360) % 360,
+            flipX: this.flipX,
+            flipY: this.flipY,
+            visibleRegion: this.getVisibleRegion()
+        };
+    }
+
     /**
-     * Initiate mouse drag for desktop panning.
+     * Get the part of the image that is currently visible.
      * 
-     * Calculates the offset between cursor position and current
-     * translation to maintain smooth dragging behavior regardless
-     * of click position. Excludes button elements from drag events.
+     * Maps the container corners back to image space with
+     * screenToImagePercent() and clamps the result to the image. When
+     * the image is rotated this is the bounding box of the visible area.
      * 
-     * @param {MouseEvent} e - The mouse down event object
-     * @return {void}
-     */    
-    startDrag(e) {
-        // Don't start drag if clicking on buttons
-        if (e.target.closest('[data-action]') || e.target.closest('.zoom-controls')) {
-            return;
-        }
+     * @return {Object} Rectangle in natural image pixels: {x, y, width, height}
+     */
+    getVisibleRegion() {
+        const rect = this.getViewportRect();
+        const { width: imgWidth, height: imgHeight } = this.getImageSize();
         
-        e.preventDefault();
-        this.isDragging = true;
-        this.startX = e.clientX - this.translateX;
-        this.startY = e.clientY - this.translateY;
+        const corners = [
+            this.screenToImagePercent(rect.left, rect.top),
+            this.screenToImagePercent(rect.right, rect.top),
+            this.screenToImagePercent(rect.left, rect.bottom),
+            this.screenToImagePercent(rect.right, rect.bottom)
+        ];
         
-        this.imageElement.classList.add('dragging');
-        document.body.style.cursor = 'grabbing';
+        const clamp = (value) => Math.min(Math.max(value, 0), 1);
+        const left = clamp(Math.min(...corners.map((corner) => corner.x))) * imgWidth;
+        const top = clamp(Math.min(...corners.map((corner) => corner.y))) * imgHeight;
+        const right = clamp(Math.max(...corners.map((corner) => corner.x))) * imgWidth;
+        const bottom = clamp(Math.max(...corners.map((corner) => corner.y))) * imgHeight;
+        
+        return {
+            x: left,
+            y: top,
+            width: right - left,
+            height: bottom - top
+        };
     }
     
     /**
-     * Handle mouse movement during drag operation.
+     * Get the screen area the image is shown in.
      * 
-     * Updates image translation based on cursor movement while
-     * maintaining the initial click offset for natural dragging feel.
+     * This is the container, or its left pane in split compare mode.
      * 
-     * @param {MouseEvent} e - The mouse move event object
-     * @return {void}
+     * @return {Object} Rectangle in client coordinates: {left, top, right, bottom, width, height}
      */
-    drag(e) {
-        if (!this.isDragging) return;
+    getViewportRect() {
+        const rect = this.container.getBoundingClientRect();
+        if (!this.isSplitView()) return rect;
         
-        e.preventDefault();
-        this.translateX = e.clientX - this.startX;
-        this.translateY = e.clientY - this.startY;
-        this.updateTransform();
+        return {
+            left: rect.left,
+            top: rect.top,
+            right: rect.left + rect.width / 2,
+            bottom: rect.bottom,
+            width: rect.width / 2,
+            height: rect.height
+        };
     }
     
     /**
-     * End mouse drag operation.
+     * Get the size of the area the image is shown in.
      * 
-     * Cleans up drag state, removes visual indicators,
-     * and restores default cursor.
+     * This is the container size from the last handleResize(), halved
+     * in split compare mode.
      * 
-     * @param {MouseEvent} e - The mouse up event object
-     * @return {void}
+     * @return {Object} Size in pixels: {width, height}
      */
-    endDrag(e) {
-        if (!this.isDragging) return;
+    getViewportSize() {
+        const { width, height } = this.containerSize || this.measureContainer();
         
-        this.isDragging = false;
-        this.imageElement.classList.remove('dragging');
-        document.body.style.cursor = '';
+        return {
+            width: width / (this.isSplitView() ? 2 : 1),
+            height
+        };
     }
     
     /**
-     * Handle mouse wheel zoom with cursor tracking.
-     * 
-     * Translates wheel movement into zoom changes, with zoom
-     * occurring at the cursor position for intuitive behavior.
-     * Inverts deltaY so wheel down zooms out.
+     * Measure the container.
      * 
-     * @param {WheelEvent} e - The wheel event object
-     * @return {void}
+     * @return {Object} Size in pixels: {width, height}
      */
-    handleWheel(e) {
-        e.preventDefault();
-        
-        const delta = e.deltaY > 0 ? -this.zoomStep : this.zoomStep;
-        this.zoomToPoint(e.clientX, e.clientY, delta);
+    measureContainer() {
+        const rect = this.container.getBoundingClientRect();
+        return { width: rect.width, height: rect.height };
     }
     
     /**
-     * Handle touch start for mobile panning and pinch gestures.
+     * Adapt the view to a new container size.
      * 
-     * Single finger initiates panning, two fingers start pinch-to-zoom.
-     * Stores initial touch state and converts pinch center to image
-     * percentage coordinates for accurate zoom tracking.
+     * Called by the ResizeObserver on the container, so window resizes,
+     * device rotation and layout changes around an inline viewer are all
+     * covered. The image point in the center stays in the center.
      * 
-     * @param {TouchEvent} e - The touch start event object
      * @return {void}
-     */    
-    handleTouchStart(e) {
-        // Don't handle touch on buttons
-        if (e.target.closest('[data-action]') || e.target.closest('.zoom-controls')) {
-            return;
-        }
+     */
+    handleResize() {
+        const size = this.measureContainer();
+        const previous = this.containerSize;
         
-        if (e.touches.length === 1) {
-            // Single touch - start panning
-            this.isDragging = true;
-            this.startX = e.touches[0].clientX - this.translateX;
-            this.startY = e.touches[0].clientY - this.translateY;
-            this.imageElement.classList.add('dragging');        } else if (e.touches.length === 2) {
-            // Two finger pinch - initialize pinch state
-            e.preventDefault();
-            this.isDragging = false;
-            this.imageElement.classList.remove('dragging');
-            
-            // Store initial pinch center as screen coordinates
-            const centerX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
-            const centerY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
-            
-            // Convert to image percentage coordinates
-            const imagePercent = this.screenToImagePercent(centerX, centerY);
-            
-            this.initialPinchCenter = { x: centerX, y: centerY };
-            this.initialPinchImagePercent = imagePercent;
-            this.initialPinchZoom = this.currentZoom;
-            this.initialPinchTranslate = { x: this.translateX, y: this.translateY };
-            this.lastTouchDistance = this.getTouchDistance(e);
-        }
-    }    
+        if (previous && previous.width === size.width && previous.height === size.height) return;
+        
+        this.preserveView(() => {
+            this.containerSize = size;
+        });
+    }
     
     /**
-     * Handle touch movement for panning and pinch-to-zoom.
+     * Map a horizontal client coordinate into the viewport.
      * 
-     * Processes single-finger panning or two-finger pinch gestures.
-     * Uses initial pinch state to maintain consistent zoom center
-     * throughout the gesture, similar to iPhone behavior.
+     * Both split compare panes show the same view, so a point in the
+     * right pane is moved to the same spot in the left one.
      * 
-     * @param {TouchEvent} e - The touch move event object
-     * @return {void}
+     * @param {number} clientX - X coordinate in the viewport
+     * @return {number} X coordinate within getViewportRect()
      */
-    handleTouchMove(e) {
-        // Single touch - pan
-        if (e.touches.length === 1 && this.isDragging) {
-            e.preventDefault();
-            this.translateX = e.touches[0].clientX - this.startX;
-            this.translateY = e.touches[0].clientY - this.startY;
-            this.updateTransform();       
-            
-        // Two finger pinch    
-        } else if (e.touches.length === 2) {
-            
-            e.preventDefault();
-            
-            const currentDistance = this.getTouchDistance(e);
-            
-            // Only process if we have a valid initial distance
-            if (this.lastTouchDistance === 0) {
-                return;
-            }
-            
-            // Calculate scale factor from initial pinch distance
-            const scaleFromInitial = currentDistance / this.lastTouchDistance;
-            
-            // Calculate new zoom level from initial state
-            const newZoom = Math.min(Math.max(this.initialPinchZoom * scaleFromInitial, this.minZoom), this.maxZoom);
-            
-            // Get container bounds for screen coordinate calculation
-            const rect = this.container.getBoundingClientRect();
-            const targetScreenX = this.initialPinchCenter.x - rect.left - rect.width / 2;
-            const targetScreenY = this.initialPinchCenter.y - rect.top - rect.height / 2;
-            
-            // Calculate where the pinched image point should be positioned
-            const imgWidth = this.imageElement.naturalWidth;
-            const imgHeight = this.imageElement.naturalHeight;
-            
-            const imageX = (this.initialPinchImagePercent.x - 0.5) * imgWidth;
-            const imageY = (this.initialPinchImagePercent.y - 0.5) * imgHeight;
-              // Calculate translation to keep the pinched point under fingers
-            this.translateX = targetScreenX - (imageX * newZoom);
-            this.translateY = targetScreenY - (imageY * newZoom);
-            this.currentZoom = newZoom;
-            
-            this.updateTransform();
-            this.updateButtons();
-        }
+    toViewportX(clientX) {
+        if (!this.isSplitView()) return clientX;
+        
+        const rect = this.getViewportRect();
+        return clientX > rect.right ? clientX - rect.width : clientX;
     }
-    
+
     /**
-     * End touch interaction and clean up state.
+     * Mark the start of a user gesture and announce it.
      * 
-     * Resets drag state and removes visual indicators
-     * when touch interaction completes.
+     * Interrupts any running animation and ends any other gesture
+     * first, so a pan turning into a pinch is reported as two
+     * separate gestures.
      * 
-     * @param {TouchEvent} e - The touch end event object
+     * @param {string} gesture - Gesture type: 'pan', 'pinch', 'tapzoom', 'navigate' or 'draw'
      * @return {void}
      */
-    handleTouchEnd(e) {
-        this.isDragging = false;
-        this.imageElement.classList.remove('dragging');
+    startGesture(gesture) {
+        if (this.activeGesture === gesture) return;
+        
+        // A new gesture always takes over from a running animation
+        this.cancelAnimation();
+        this.endGesture();
+        this.activeGesture = gesture;
+        this.emit('gesturestart', { gesture });
     }
-    
+
     /**
-     * Calculate distance between two touch points.
-     * 
-     * Uses Pythagorean theorem to determine the distance
-     * between two fingers for pinch gesture scaling.
+     * Mark the end of the active user gesture, if any.
      * 
-     * @param {TouchEvent} e - Touch event with at least 2 touches
-     * @return {number} Distance between touch points in pixels
+     * @return {void}
      */
-    getTouchDistance(e) {
-        return Math.hypot(
-            e.touches[0].clientX - e.touches[1].clientX,
-            e.touches[0].clientY - e.touches[1].clientY
-        );
-    }
+    endGesture() {
+        if (!this.activeGesture) return;
+        
+        const gesture = this.activeGesture;
+        this.activeGesture = null;
+        this.emit('gestureend', { gesture });
         
+        if (gesture !== 'navigate' && gesture !== 'draw') {
+            this.announcePosition();
+        }
+    }
+
     /**
-     * Get dynamic zoom step based on current zoom level.
+     * Add an event listener that is removed again on destroy().
      * 
-     * Uses smaller steps when zoomed out for finer control,
-     * and larger steps when zoomed in for faster navigation.
+     * All listeners of the component go through here, so nothing
+     * is left reacting to events once the viewer is unmounted.
      * 
-     * @return {number} The zoom step to use
+     * @param {EventTarget} target - Element, document or window to listen on
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     * @param {Object} [options] - Options passed to addEventListener
+     * @return {void}
      */
-    getDynamicZoomStep() {
-        // Use smaller steps when close to minimum zoom for better control
-        if (this.currentZoom <= this.minZoom + 0.3) {
-            return 0.1;
-        } else if (this.currentZoom <= 1) {
-            return 0.2;
-        } else {
-            return this.zoomStep; // Use default for higher zoom levels
-        }
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
     }
 
     /**
-     * Zoom in by configured step amount.
+     * Load the deep zoom tile source and switch to tiled rendering.
      * 
-     * Increases zoom level by zoomStep while respecting
-     * maximum zoom limits. Zooms toward the center of the viewport.
-     * Announces change for accessibility.
+     * Accepts a URL to a Deep Zoom (.dzi) descriptor or an IIIF info.json,
+     * or a ready TileSource. Once loaded, the tile layer takes over from
+     * the image element and the initial scale is calculated from the
+     * full-resolution size in the descriptor.
      * 
      * @return {void}
-     */    
-    zoomIn() {
-        // Calculate viewport center coordinates
-        const centerX = window.innerWidth / 2;
-        const centerY = window.innerHeight / 2;
+     */
+    loadTileSource() {
+        const source = this.options.tileSource;
+        const ready = typeof source === 'string' ? TileSource.load(source) : Promise.resolve(source);
         
-        // Use dynamic zoom step for better control
-        const step = this.getDynamicZoomStep();
-        this.zoomToPoint(centerX, centerY, step);
-        this.announceZoom();
+        this.setLoadState('loading');
+        
+        ready.then((tileSource) => {
+            // The viewer may have been destroyed while the descriptor was loading
+            if (!this.isMounted) return;
+            
+            this.tileSource = tileSource;
+            this.tileLayer = new TileLayer(this, tileSource);
+            this.imageElement.hidden = true;
+            
+            this.setLoadState('loaded');
+            this.calculateInitialScale();
+            this.applyPendingDeepLink();
+            this.setupNavigator();
+            this.updateTransform();
+            this.updateButtons();
+            this.emit('imageload');
+        }).catch((error) => {
+            if (!this.isMounted) return;
+            
+            this.setLoadState('error');
+            this.emit('imageerror', { error });
+        });
     }
     
     /**
-     * Zoom out by configured step amount.
+     * Initialize image scale once the image is ready.
      * 
-     * Decreases zoom level by zoomStep while respecting
-     * minimum zoom limits. Zooms away from the center of the viewport.
-     * Announces change for accessibility.
+     * Handles both already-loaded images and images that need to load.
+     * Until the load or error listeners from setupEventListeners() fire,
+     * the loading indicator is shown.
      * 
      * @return {void}
      */
-    zoomOut() {
-        // Calculate viewport center coordinates
-        const centerX = window.innerWidth / 2;
-        const centerY = window.innerHeight / 2;
+    initializeImageScale() {
+        this.setLoadState('loading');
         
-        // Use dynamic zoom step for better control
-        const step = this.getDynamicZoomStep();
-        this.zoomToPoint(centerX, centerY, -step);
-        this.announceZoom();
+        if (this.imageElement.complete) {
+            // A complete image without a natural size has failed to load
+            this.imageElement.naturalWidth > 0 ? this.handleImageLoad() : this.handleImageError();
+        }
     }
     
     /**
-     * Set zoom level to specific value.
+     * Set up the view once the displayed image has loaded.
      * 
-     * Updates the current zoom level and refreshes
-     * the transform and button states accordingly.
+     * Performs the initial setup sequence in a single elegant flow. In
+     * progressive mode the first source to load is the preview, which
+     * is sized up to the full-resolution size before the initial scale
+     * is calculated; the full-resolution source then starts loading in
+     * the background. Later loads from source swaps keep the view.
      * 
-     * @param {number} zoom - The target zoom level
      * @return {void}
      */
-    setZoom(zoom) {
-        this.currentZoom = zoom;
+    handleImageLoad() {
+        if (this.loadState !== 'loading') return;
+        
+        if (this.sources.length > 0) {
+            const { naturalWidth, naturalHeight } = this.imageElement;
+            const width = Math.max(naturalWidth, ...this.sources.map((source) => source.width || 0));
+            
+            this.displayedWidth = naturalWidth;
+            this.setImageSize(width, width * naturalHeight / naturalWidth);
+        }
+        
+        this.setLoadState('loaded');
+        this.calculateInitialScale();
+        this.restoreImageState();
+        this.applyPendingDeepLink();
+        this.setupNavigator();
+        this.updateTransform();
+        this.updateButtons();
+        this.emit('imageload');
+        this.playOpenTransition();
+        
+        if (this.sources.length > 0) {
+            this.loadSource(this.sources.length - 1);
+        }
+        if (this.options.exifOrientation && !this.browserAppliesExifOrientation()) {
+            this.loadExifOrientation();
+        }
+    }
+    
+    /**
+     * Show the error state when the displayed image fails to load.
+     * 
+     * @return {void}
+     */
+    handleImageError() {
+        if (this.loadState !== 'loading') return;
+        
+        this.setLoadState('error');
+        this.emit('imageerror', { src: this.imageElement.getAttribute('src') });
+    }
+    
+    /**
+     * Switch the loading indicator and error message to a load state.
+     * 
+     * @param {string|null} state - 'loading', 'loaded', 'error' or null when unmounted
+     * @return {void}
+     */
+    setLoadState(state) {
+        this.loadState = state;
+        this.container.setAttribute('aria-busy', state === 'loading');
+        
+        if (this.loadingIndicator) {
+            this.loadingIndicator.hidden = state !== 'loading';
+        }
+        if (this.errorMessage) {
+            this.errorMessage.hidden = state !== 'error';
+        }
+    }
+    
+    /**
+     * Load the image again after it failed.
+     * 
+     * @return {void}
+     */
+    retry() {
+        if (this.loadState !== 'error') return;
+        
+        if (this.options.tileSource) {
+            this.loadTileSource();
+            return;
+        }
+        
+        // Assigning the same source again makes the browser refetch it
+        this.setLoadState('loading');
+        this.imageElement.src = this.imageElement.getAttribute('src');
+    }
+    
+    /**
+     * Build the list of progressive sources from the options.
+     * 
+     * The srcset option takes [{src, width}] entries or a srcset string
+     * with width descriptors, e.g. 'bird-1600.jpg 1600w'. The entries are
+     * sorted from smallest to largest and followed by the full-resolution
+     * src, which defaults to the markup's image. Widths that aren't
+     * given are read from the images once they have loaded.
+     * 
+     * @return {Array<Object>} Sources: {src, width, status, loader}
+     */
+    getProgressiveSources() {
+        const srcset = typeof this.options.srcset === 'string'
+            ? this.options.srcset.split(',').map((candidate) => {
+                const [src, descriptor = ''] = candidate.trim().split(/\s+/);
+                return { src, width: parseInt(descriptor, 10) || null };
+            })
+            : this.options.srcset;
+        const fullSrc = this.options.src || this.imageElement.getAttribute('src');
+        const listed = srcset.find((source) => source.src === fullSrc);
+        
+        return srcset
+            .filter((source) => source.src !== fullSrc)
+            .sort((a, b) => (a.width || Infinity) - (b.width || Infinity))
+            .concat({ src: fullSrc, width: listed ? listed.width : null })
+            .map(({ src, width }) => ({ src, width: width || null, status: null, loader: null }));
+    }
+    
+    /**
+     * Show the preview and start progressive loading.
+     * 
+     * Without a previewSrc the smallest srcset entry serves as preview.
+     * 
+     * @return {void}
+     */
+    loadProgressive() {
+        this.displayedSource = this.options.previewSrc ? -1 : 0;
+        this.imageElement.src = this.options.previewSrc || this.sources[0].src;
+        this.initializeImageScale();
+    }
+    
+    /**
+     * Load a progressive source in the background.
+     * 
+     * Once loaded, a source that turns out larger than the assumed
+     * full-resolution size becomes the new natural size, and the
+     * displayed source is brought up to date.
+     * 
+     * @param {number} index - Index in this.sources
+     * @return {void}
+     */
+    loadSource(index) {
+        const source = this.sources[index];
+        if (source.status !== null) return;
+        
+        source.status = 'loading';
+        source.loader = new Image();
+        
+        source.loader.onload = () => {
+            source.status = 'loaded';
+            source.width = source.loader.naturalWidth;
+            
+            if (source.width > this.imageSize.width) {
+                this.setImageSize(source.width, source.width * this.imageSize.height / this.imageSize.width);
+            } else {
+                this.updateImageSource();
+            }
+        };
+        
+        // The preview stays usable, so a failed background load is only reported
+        source.loader.onerror = () => {
+            source.status = 'error';
+            this.emit('imageerror', { src: source.src });
+        };
+        
+        source.loader.src = source.src;
+    }
+    
+    /**
+     * Set the natural size the displayed image is stretched to.
+     * 
+     * The image element always has this size, whichever source it shows,
+     * so a sharper source can replace a smaller one without moving.
+     * When the size changes after the view was set up, zoom and zoom
+     * limits are scaled to keep the image exactly where it is on screen.
+     * 
+     * @param {number} width - Natural width in pixels
+     * @param {number} height - Natural height in pixels
+     * @return {void}
+     */
+    setImageSize(width, height) {
+        const previous = this.imageSize;
+        
+        this.imageSize = { width, height };
+        this.imageElement.style.width = `${width}px`;
+        this.imageElement.style.height = `${height}px`;
+        
+        if (!previous || this.loadState !== 'loaded') return;
+        
+        const factor = previous.width / width;
+        
+        this.cancelAnimation();
+        this.currentZoom *= factor;
+        this.initialScale *= factor;
+        this.maxZoom = this.options.maxZoom * this.getZoomReference();
+        this.minZoom = this.options.minZoom !== null ? this.options.minZoom * this.getZoomReference() : this.minZoom * factor;
+        
         this.updateTransform();
         this.updateButtons();
+    }
+    
+    /**
+     * Swap in a sharper progressive source when the zoom calls for it.
+     * 
+     * A source is sharp enough while it has at least one pixel per
+     * physical screen pixel. Aims for the smallest such source, loading
+     * it if needed; in the meantime any loaded source sharper than the
+     * displayed one is shown.
+     * 
+     * @return {void}
+     */
+    updateImageSource() {
+        const requiredWidth = this.currentZoom * this.imageSize.width * (window.devicePixelRatio || 1);
+        if (this.displayedWidth >= requiredWidth) return;
+        
+        let target = this.sources.findIndex((source) => (source.width || Infinity) >= requiredWidth);
+        if (target === -1) {
+            target = this.sources.length - 1;
+        }
+        if (target <= this.displayedSource) return;
+        
+        this.loadSource(target);
+        
+        // Prefer the smallest loaded source from the target up, else the sharpest below it
+        const loaded = this.sources
+            .map((source, index) => index)
+            .filter((index) => index > this.displayedSource && this.sources[index].status === 'loaded');
+        const next = loaded.find((index) => index >= target);
+        const index = next !== undefined ? next : loaded.pop();
+        if (index === undefined) return;
+        
+        this.displayedSource = index;
+        this.displayedWidth = this.sources[index].width;
+        this.imageElement.src = this.sources[index].src;
+    }
+    
+    /**
+     * Get the natural size of the displayed image.
+     * 
+     * This is the full-resolution size every coordinate calculation is
+     * based on: the size from the tile source descriptor when rendering
+     * a deep zoom pyramid, the full-resolution size in progressive mode,
+     * or else the loaded image's natural size.
+     * 
+     * @return {Object} Size in natural pixels: {width, height}, zero while unknown
+     */
+    getImageSize() {
+        if (this.tileSource) {
+            return { width: this.tileSource.width, height: this.tileSource.height };
+        }
+        if (this.imageSize) {
+            return this.imageSize;
+        }
+        
+        return { width: this.imageElement.naturalWidth, height: this.imageElement.naturalHeight };
+    }
+    
+    /**
+     * Get the size of the image's bounding box on screen at zoom 1.
+     * 
+     * Equals the natural size at 0° and 180°, with width and height
+     * swapped at 90° and 270°, and the enclosing box at other angles.
+     * 
+     * @param {number} [rotation] - Rotation in degrees, defaults to the current rotation
+     * @return {Object} Size in pixels: {width, height}
+     */
+    getRotatedSize(rotation = this.rotation) {
+        const { width, height } = this.getImageSize();
+        const angle = rotation * Math.PI / 180;
+        const cos = Math.abs(Math.cos(angle));
+        const sin = Math.abs(Math.sin(angle));
+        
+        return {
+            width: width * cos + height * sin,
+            height: width * sin + height * cos
+        };
+    }
+
+    /**
+     * Calculate the initial scale based on configured fit mode.
+     * 
+     * Determines the scale factor for initial display:
+     * - 'cover': Image fills entire viewport (may crop edges)
+     * - 'contain': Entire image is visible within viewport
+     * 
+     * Always allows zooming out to see the whole image regardless of initial mode.
+     * Also converts the configured zoom limits from zoomUnits to scale factors.
+     * A rotated image is fitted by its bounding box.
+     * 
+     * @param {number} [rotation] - Rotation in degrees to fit for, defaults to the current rotation
+     * @return {void}
+     */    
+    calculateInitialScale(rotation = this.rotation) {
+        // Use the container size, which follows the mobile viewport as well
+        const { width: containerWidth, height: containerHeight } = this.getViewportSize();
+        
+        // Get image dimensions as they appear on screen
+        const { width: imgWidth, height: imgHeight } = this.getRotatedSize(rotation);
+        
+        if (imgWidth === 0 || imgHeight === 0) {
+            // Image not loaded yet, set a fallback
+            this.initialScale = 1;
+            this.currentZoom = 1;
+            return;
+        }
+        
+        const scaleX = containerWidth / imgWidth;
+        const scaleY = containerHeight / imgHeight;
+        
+        // Set initial scale based on configured fit mode
+        if (this.initialFitMode === 'cover') {
+            // Use the larger scale to fill the viewport (may crop image)
+            this.initialScale = Math.max(scaleX, scaleY);
+        } else {
+            // Use the smaller scale to fit the entire image within the viewport
+            this.initialScale = Math.min(scaleX, scaleY);
+        }
+        
+        this.currentZoom = this.initialScale;
+        
+        // Zoom limits are configured in zoomUnits, convert them to scale factors
+        const reference = this.getZoomReference();
+        this.maxZoom = this.options.maxZoom * reference;
+        
+        // Unless a fixed minZoom is configured, always allow seeing the entire image
+        // This ensures you can zoom out to see the whole image regardless of initial mode
+        const fitToViewportScale = Math.min(scaleX, scaleY);
+        this.minZoom = this.options.minZoom !== null ? this.options.minZoom * reference : fitToViewportScale;
+    }
+    
+    /**
+     * Recalculate the zoom limits for a rotation, keeping the current view.
+     * 
+     * @param {number} rotation - Rotation in degrees
+     * @return {void}
+     */
+    updateZoomLimits(rotation) {
+        const zoom = this.currentZoom;
+        this.calculateInitialScale(rotation);
+        this.currentZoom = zoom;
+    }
+    
+    /**
+     * Get the scale that counts as zoom level 1 in the configured zoomUnits.
+     * 
+     * With 'natural' a level of 1 shows the image at 100% of its natural
+     * pixels; with 'initial' it is the initial fit scale. Internally
+     * currentZoom is always the raw CSS scale factor.
+     * 
+     * @param {string} [units] - 'natural' or 'initial', defaults to the zoomUnits option
+     * @return {number} Scale factor of zoom level 1
+     */
+    getZoomReference(units = this.options.zoomUnits) {
+        return units === 'initial' ? this.initialScale : 1;
+    }
+    
+    /**
+     * Get the current zoom level in the configured zoomUnits.
+     * 
+     * @return {number} Zoom level, e.g. 2 for 200%
+     */
+    getZoomLevel() {
+        return this.currentZoom / this.getZoomReference();
+    }
+    
+    /**
+     * Zoom to a level given in the configured zoomUnits.
+     * 
+     * @param {number} level - Zoom level, e.g. 2 for 200%
+     * @param {Object|null} [point] - Screen point {x, y} to keep in place, defaults to the container center
+     * @param {Object} [options] - Animation options, see zoomTo()
+     * @return {void}
+     */
+    setZoomLevel(level, point = null, options = {}) {
+        this.zoomTo(level * this.getZoomReference(), point, options);
+    }
+    
+    /**
+     * Set up all event listeners for desktop and mobile interactions.
+     * 
+     * Configures button clicks, keyboard shortcuts, pointer events
+     * for mouse, pen and touch, and accessibility features. Keyboard
+     * events are attached to the root element; pointer capture tracks
+     * drags outside container.
+     * 
+     * @return {void}
+     */      
+    setupEventListeners() {
+        const buttonActions = [
+            [this.zoomInBtn, () => this.zoomIn()],
+            [this.zoomOutBtn, () => this.zoomOut()],
+            [this.resetBtn, () => this.reset()],
+            [this.closeBtn, () => this.close()],
+            [this.rotateLeftBtn, () => this.rotateLeft()],
+            [this.rotateRightBtn, () => this.rotateRight()],
+            [this.flipHorizontalBtn, () => this.flipHorizontal()],
+            [this.flipVerticalBtn, () => this.flipVertical()],
+            [this.editBtn, () => this.setEditMode(!this.isEditing)],
+            [this.undoBtn, () => this.undo()],
+            [this.redoBtn, () => this.redo()],
+            [this.compareModeBtn, () => this.setCompareMode(this.compareMode === 'split' ? 'swipe' : 'split')],
+            [this.downloadBtn, () => this.downloadImage().catch(() => {
+                if (this.announcer) {
+                    this.announcer.textContent = this.t('exportError');
+                }
+            })],
+            [this.downloadOriginalBtn, () => this.downloadOriginal()],
+            [this.loupeBtn, () => this.setLoupeMode(!this.isLoupeMode)],
+            [this.prevBtn, () => this.previous()],
+            [this.nextBtn, () => this.next()],
+            [this.retryBtn, () => this.retry()],
+            [this.closeHelpBtn, () => this.closeHelp()]
+        ];
+        
+        buttonActions.forEach(([button, action]) => {
+            if (!button) return;
+            this.listen(button, 'click', (e) => {
+                e.stopPropagation();
+                action();
+            });
+        });
+        
+        // Keyboard shortcuts only apply while focus is inside this viewer, so
+        // several instances and the rest of the page keep their own keys
+        this.listen(this.root, 'keydown', (e) => this.handleKeyboard(e));
+        
+        // Pointer events for mouse, pen and touch - attach to container, not image.
+        // Pointer capture keeps moves coming while dragging outside the container.
+        this.listen(this.container, 'pointerdown', (e) => this.handlePointerDown(e));
+        this.listen(this.container, 'pointermove', (e) => this.handlePointerMove(e));
+        this.listen(this.container, 'pointerup', (e) => this.handlePointerUp(e));
+        this.listen(this.container, 'pointercancel', (e) => this.handlePointerUp(e));
+        this.listen(this.container, 'pointerleave', (e) => {
+            if (e.pointerType === 'mouse') this.hideLoupe();
+        });
+        
+        this.listen(this.container, 'wheel', (e) => this.handleWheel(e), { passive: false });
+        this.listen(this.container, 'gesturestart', (e) => this.handleSafariGesture(e));
+        this.listen(this.container, 'gesturechange', (e) => this.handleSafariGesture(e));
+        this.listen(this.container, 'dblclick', (e) => this.handleDoubleClick(e));
+        
+        if (this.zoomIndicator) {
+            this.listen(this.zoomIndicator, 'pointerdown', (e) => this.handleNavigatorPointerDown(e));
+            this.listen(this.zoomIndicator, 'pointermove', (e) => this.handleNavigatorPointerMove(e));
+            this.listen(this.zoomIndicator, 'pointerup', (e) => this.handleNavigatorPointerUp(e));
+            this.listen(this.zoomIndicator, 'pointercancel', (e) => this.handleNavigatorPointerUp(e));
+            this.listen(this.zoomIndicator, 'keydown', (e) => this.handleNavigatorKeyboard(e));
+            this.listen(this.zoomIndicator, 'focus', () => this.announceNavigator());
+        }
+        
+        if (this.noteEditor) {
+            this.listen(this.noteEditor, 'submit', (e) => {
+                e.preventDefault();
+                this.saveNote();
+            });
+            this.listen(this.noteEditor, 'keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.closeNoteEditor();
+                }
+            });
+            
+            const deleteButton = this.noteEditor.querySelector('[data-action="delete-annotation"]');
+            if (deleteButton) {
+                this.listen(deleteButton, 'click', () => this.deleteEditedAnnotation());
+            }
+        }
+        
+        this.listen(this.imageElement, 'load', () => this.handleImageLoad());
+        this.listen(this.imageElement, 'error', () => this.handleImageError());
+        
+        // Prevent native image drag and context menu
+        this.listen(this.container, 'dragstart', (e) => e.preventDefault());
+        this.listen(this.container, 'contextmenu', (e) => e.preventDefault());
+        
+        if (this.options.deepLink) {
+            this.listen(window, 'popstate', () => this.handlePopState());
+        }
+        
+        this.listen(document, 'fullscreenchange', () => this.handleFullscreenChange());
+        
+        // Thumbnails open a launcher by pointing at its id:
+        // <a href="full.jpg" data-image-zoom-open="viewer"><img src="thumb.jpg" alt="…"></a>
+        if (this.options.launcher && this.root.id) {
+            this.listen(document, 'click', (e) => {
+                const trigger = e.target.closest(`[data-image-zoom-open="${this.root.id}"]`);
+                if (!trigger) return;
+                
+                e.preventDefault();
+                this.open({ trigger });
+            });
+        }
+        
+        // Follow the container's size, which changes with the window but
+        // also with the layout around an inline viewer
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.handleResize());
+            this.resizeObserver.observe(this.container);
+        } else {
+            this.listen(window, 'resize', () => this.handleResize());
+        }
+        
+        if (this.options.blockBrowserZoom) {
+            this.preventBrowserZoom();
+        }
     }    
     
     /**
-     * Convert screen coordinates to image percentage coordinates.
-     * 
-     * Transforms screen-space coordinates to image-relative percentages (0-1)
-     * by accounting for current zoom and translation. This enables accurate
-     * zoom-to-point functionality regardless of current image state.
+     * Prevent browser zoom shortcuts from interfering.
+     * 
+     * Blocks Ctrl+/-/0 keyboard shortcuts and Ctrl+wheel events on the
+     * whole page to prevent browser zoom from conflicting with custom
+     * zoom. Only used with the blockBrowserZoom option, as it takes the
+     * browser's zoom away from the rest of the page too; Ctrl+wheel over
+     * the image is handled by handleWheel() either way.
+     * Uses passive:false to enable preventDefault on wheel events.
+     * 
+     * @return {void}
+     */
+    preventBrowserZoom() {
+        this.listen(document, 'keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && (e.key === '+' || e.key === '-' || e.key === '0')) {
+                e.preventDefault();
+            }
+        });
+        
+        this.listen(document, 'wheel', (e) => {
+            if (e.ctrlKey || e.metaKey) {
+                e.preventDefault();
+            }
+        }, { passive: false });
+    }
+    
+    /**
+     * Handle keyboard navigation and accessibility shortcuts.
+     * 
+     * Runs the action the key is bound to in the keymap, see
+     * FullscreenImageZoom.keymap for the default bindings. Keys typed
+     * into form fields and editable content are left alone, as are keys
+     * that aren't bound. Left and right panning trade places in
+     * right-to-left layouts. While the keyboard help is open only the
+     * keys that close it are handled.
+     * 
+     * @param {KeyboardEvent} e - The keyboard event object
+     * @return {void}
+     */
+    handleKeyboard(e) {
+        // Tab keeps focus inside an open launcher or help
+        if (e.key === 'Tab') {
+            this.trapFocus(e);
+            return;
+        }
+        
+        // Typing a note must not zoom or close the viewer
+        if (e.target.isContentEditable || e.target.closest('input, textarea, select')) {
+            return;
+        }
+        
+        const action = this.getKeyAction(e);
+        
+        // The help only listens for the keys that close it
+        if (this.isHelpOpen()) {
+            if (e.key === 'Escape' || action === 'close' || action === 'help') {
+                e.preventDefault();
+                this.closeHelp();
+            }
+            return;
+        }
+        
+        // An action returns false to leave the key to the browser
+        if (action && this.keyActions[action](this, e) !== false) {
+            e.preventDefault();
+        }
+    }
+    
+    /**
+     * Find the keymap action a key press is bound to.
+     * 
+     * @param {KeyboardEvent} e - The keyboard event object
+     * @return {string|null} Action name, or null when the key isn't bound
+     */
+    getKeyAction(e) {
+        const binding = this.keymap.find(({ combos }) => combos.some((combo) => this.matchesKeyCombo(e, combo)));
+        
+        if (!binding) return null;
+        // Left and right trade places in right-to-left layouts
+        return this.dir === 'rtl' && FullscreenImageZoom.rtlActions[binding.action] || binding.action;
+    }
+    
+    /**
+     * Check whether a key press matches a key combination.
+     * 
+     * Letters match in either case. Shift only counts for letters and
+     * named keys, since it is part of typing symbols like ? and + on
+     * many keyboard layouts.
+     * 
+     * @param {KeyboardEvent} e - The keyboard event object
+     * @param {Object} combo - Key combination from parseKeyCombo()
+     * @return {boolean} True if the key press matches
+     */
+    matchesKeyCombo(e, combo) {
+        const isCharacter = combo.key.length === 1;
+        const isLetter = combo.key.toLowerCase() !== combo.key.toUpperCase();
+        
+        if (isCharacter ? e.key.toLowerCase() !== combo.key.toLowerCase() : e.key !== combo.key) {
+            return false;
+        }
+        if ((!isCharacter || isLetter) && e.shiftKey !== combo.shift) {
+            return false;
+        }
+        if (e.altKey !== combo.alt) {
+            return false;
+        }
+        if (combo.mod) {
+            return e.ctrlKey || e.metaKey;
+        }
+        return e.ctrlKey === combo.ctrl && e.metaKey === combo.meta;
+    }
+    
+    /**
+     * Parse a keymap into the bindings handleKeyboard() looks keys up in.
+     * 
+     * Actions set to false or null, and names without a matching
+     * key action, are left out.
+     * 
+     * @param {Object} keymap - Key combinations by action name, see FullscreenImageZoom.keymap
+     * @return {Array<Object>} Bindings: [{action, combos}]
+     */
+    parseKeymap(keymap) {
+        return Object.entries(keymap)
+            .filter(([action, keys]) => keys && this.keyActions[action])
+            .map(([action, keys]) => ({
+                action,
+                combos: [].concat(keys).map((combo) => this.parseKeyCombo(combo))
+            }));
+    }
+    
+    /**
+     * Parse a key combination like 'Shift+r' or 'Mod+z'.
+     * 
+     * The last part is the key as reported by KeyboardEvent.key, the
+     * parts before it modifiers: Ctrl, Alt, Shift, Meta, or Mod for Ctrl
+     * or Cmd. A lone '+' or a trailing '++' binds the plus key itself.
+     * 
+     * @param {string} combo - Key combination
+     * @return {Object} Combination: {key, mod, ctrl, alt, shift, meta}
+     */
+    parseKeyCombo(combo) {
+        const parts = combo.split('+');
+        let key = parts.pop();
+        
+        if (key === '') {
+            parts.pop();
+            key = '+';
+        }
+        
+        const modifiers = parts.map((part) => part.toLowerCase());
+        
+        return {
+            key,
+            mod: modifiers.includes('mod'),
+            ctrl: modifiers.includes('ctrl'),
+            alt: modifiers.includes('alt'),
+            shift: modifiers.includes('shift'),
+            meta: modifiers.includes('meta')
+        };
+    }
+    
+    /**
+     * Format a key combination for display, e.g. 'Shift+R'.
+     * 
+     * @param {Object} combo - Key combination from parseKeyCombo()
+     * @return {string} Readable key combination
+     */
+    formatKeyCombo(combo) {
+        const isApple = /Mac|iPhone|iPad/.test(navigator.platform);
+        const modifiers = [
+            combo.ctrl && 'Ctrl',
+            combo.mod && (isApple ? '⌘' : 'Ctrl'),
+            combo.alt && 'Alt',
+            combo.shift && 'Shift',
+            combo.meta && 'Meta'
+        ].filter(Boolean);
+        const key = FullscreenImageZoom.keyLabels[combo.key] || (combo.key.length === 1 ? combo.key.toUpperCase() : combo.key);
+        
+        return [...modifiers, key].join('+');
+    }
+    
+    /**
+     * Fill the keyboard help with the keys of the current keymap.
+     * 
+     * Terms in the help name their actions with data-keys, for example
+     * data-keys="zoomIn zoomOut". Entries whose actions have no keys
+     * are hidden.
+     * 
+     * @return {void}
+     */
+    renderKeyHelp() {
+        if (!this.help) return;
+        
+        this.help.querySelectorAll('[data-keys]').forEach((term) => {
+            const combos = term.dataset.keys.split(' ').flatMap((action) => {
+                const binding = this.keymap.find((entry) => entry.action === action);
+                return binding ? binding.combos : [];
+            });
+            
+            term.textContent = '';
+            combos.forEach((combo, index) => {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = this.formatKeyCombo(combo);
+                term.append(index > 0 ? ' ' : '', kbd);
+            });
+            term.parentElement.hidden = combos.length === 0;
+        });
+    }
+    
+    /**
+     * Handle a pointer going down on the image container.
+     * 
+     * Mouse, pen and touch all come through here. Each pointer is
+     * captured so its moves keep arriving outside the container, and
+     * tracked in the pointer map. The first pointer pans (or starts a
+     * double-tap zoom), a second one turns the gesture into a pinch.
+     * Excludes button elements and non-primary mouse buttons.
+     * 
+     * @param {PointerEvent} e - The pointer down event object
+     * @return {void}
+     */
+    handlePointerDown(e) {
+        // Don't handle pointers on buttons
+        if (e.target.closest('[data-action]') || e.target.closest('.zoom-controls')) {
+            return;
+        }
+        // In loupe mode pointers move the loupe, the image stays put
+        if (this.isLoupeMode) {
+            this.handleLoupePointerDown(e);
+            return;
+        }
+        // The middle button pans in edit mode, where the main button draws
+        if (e.pointerType === 'mouse' && e.button !== 0 && !(this.isEditing && e.button === 1)) {
+            return;
+        }
+        
+        e.preventDefault();
+        this.container.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.lastPointerType = e.pointerType;
+        
+        if (this.pointers.size === 1) {
+            this.handleFirstPointer(e);
+        } else if (this.pointers.size === 2) {
+            this.tapZoom = null;
+            this.cancelDrawing();
+            this.beginPinch();
+        }
+    }
+    
+    /**
+     * Start a single-pointer interaction.
+     * 
+     * Touch and pen land as a double-tap zoom when shortly after a tap in
+     * the same spot (mouse has dblclick for that); otherwise they pan.
+     * In edit mode the pointer draws an annotation unless it starts on
+     * one, or pans with the middle button or editPanModifier.
+     * 
+     * @param {PointerEvent} e - The pointer down event object
+     * @return {void}
+     */
+    handleFirstPointer(e) {
+        const onAnnotation = e.target.closest('[data-annotation-id]');
+        const panRequested = e.button === 1 || e[this.options.editPanModifier];
+        
+        if (this.isEditing && !onAnnotation && !panRequested) {
+            // Edit mode draws; annotations are still selected with a tap
+            this.beginDrawing(e.clientX, e.clientY);
+        } else if (!this.isEditing && e.pointerType !== 'mouse' && this.isSecondTap(e.clientX, e.clientY)) {
+            // Second tap - toggles zoom on release, or zooms while dragging
+            this.beginTapZoom(e.clientX, e.clientY);
+        } else {
+            this.beginPan(e.clientX, e.clientY);
+        }
+        
+        if (e.pointerType === 'mouse') {
+            document.body.style.cursor = this.drawing ? 'crosshair' : 'grabbing';
+        }
+        
+        this.pointerStartX = e.clientX;
+        this.pointerStartY = e.clientY;
+        this.pointerStartTime = performance.now();
+        this.pointerStartTarget = e.target;
+    }
+    
+    /**
+     * Handle movement of a tracked pointer.
+     * 
+     * Drives the double-tap zoom, the pinch (while two or more pointers
+     * are down) or the pan, depending on the active interaction.
+     * 
+     * @param {PointerEvent} e - The pointer move event object
+     * @return {void}
+     */
+    handlePointerMove(e) {
+        if (this.isLoupeMode) {
+            this.handleLoupePointerMove(e);
+            return;
+        }
+        if (!this.pointers.has(e.pointerId)) return;
+        
+        e.preventDefault();
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        
+        if (this.tapZoom) {
+            this.moveTapZoom(e.clientY);
+        } else if (this.pointers.size >= 2) {
+            this.movePinch();
+        } else if (this.drawing) {
+            this.moveDrawing(e.clientX, e.clientY);
+        } else if (this.isDragging) {
+            this.movePan(e.clientX, e.clientY);
+        }
+    }
+    
+    /**
+     * Handle a tracked pointer being lifted or cancelled.
+     * 
+     * Lifting one of two pinch fingers hands over to a pan with the
+     * remaining finger instead of stopping. With three or more pointers
+     * the pinch restarts with the two that are left. When the last
+     * pointer goes up a pan may swipe the gallery, count as a tap,
+     * or glide on with momentum.
+     * 
+     * @param {PointerEvent} e - The pointer up or cancel event object
+     * @return {void}
+     */
+    handlePointerUp(e) {
+        if (e.pointerId === this.loupePointer) {
+            this.hideLoupe();
+            return;
+        }
+        if (!this.pointers.has(e.pointerId)) return;
+        
+        this.pointers.delete(e.pointerId);
+        
+        if (this.tapZoom) {
+            this.endTapZoom();
+            return;
+        }
+        
+        if (this.drawing) {
+            document.body.style.cursor = '';
+            e.type === 'pointerup' ? this.endDrawing(e.clientX, e.clientY) : this.cancelDrawing();
+            return;
+        }
+        
+        if (this.pointers.size >= 2) {
+            this.beginPinch();
+            return;
+        }
+        
+        if (this.pointers.size === 1) {
+            const [remaining] = this.pointers.values();
+            
+            // Swipes and taps of the remaining finger start here, not where the pinch began
+            this.pointerStartX = remaining.x;
+            this.pointerStartY = remaining.y;
+            this.pointerStartTime = performance.now();
+            this.beginPan(remaining.x, remaining.y);
+            return;
+        }
+        
+        const wasPanning = this.activeGesture === 'pan';
+        const swiped = wasPanning && e.type === 'pointerup' && this.handleSwipe(e.clientX, e.clientY);
+        
+        document.body.style.cursor = '';
+        this.endPan();
+        
+        if (wasPanning && e.type === 'pointerup' && this.handleAnnotationTap(e)) {
+            return;
+        }
+        if (wasPanning && e.pointerType !== 'mouse') {
+            this.recordTap(e.clientX, e.clientY);
+        }
+        if (this.pinchRotated) {
+            this.finishPinchRotation();
+        } else if (wasPanning && !swiped) {
+            this.startMomentum();
+        }
+    }
+    
+    /**
+     * Start panning from the given pointer position.
+     * 
+     * Stores the offset between pointer and current translation so
+     * the image follows the pointer regardless of where it was grabbed.
+     * 
+     * @param {number} clientX - Pointer X coordinate
+     * @param {number} clientY - Pointer Y coordinate
+     * @return {void}
+     */
+    beginPan(clientX, clientY) {
+        this.startGesture('pan');
+        
+        this.isDragging = true;
+        this.startX = clientX - this.translateX;
+        this.startY = clientY - this.translateY;
+        this.panSamples = [];
+        
+        this.imageElement.classList.add('dragging');
+    }
+    
+    /**
+     * Move the image with the pointer during a pan.
+     * 
+     * Beyond the bounds from calculateBounds() the image follows with
+     * increasing resistance (rubber band) instead of stopping dead.
+     * 
+     * @param {number} clientX - Pointer X coordinate
+     * @param {number} clientY - Pointer Y coordinate
+     * @return {void}
+     */
+    movePan(clientX, clientY) {
+        const bounds = this.calculateBounds();
+        const viewport = this.getViewportSize();
+        
+        this.translateX = this.applyRubberBand(clientX - this.startX, bounds.minX, bounds.maxX, viewport.width);
+        this.translateY = this.applyRubberBand(clientY - this.startY, bounds.minY, bounds.maxY, viewport.height);
+        this.trackPanVelocity();
+        this.updateTransform();
+    }
+    
+    /**
+     * Finish a pan and clean up drag state.
+     * 
+     * @return {void}
+     */
+    endPan() {
+        this.isDragging = false;
+        this.imageElement.classList.remove('dragging');
+        this.endGesture();
+    }
+    
+    /**
+     * Record the current translation for velocity tracking.
+     * 
+     * Only the samples from the last 100ms are kept, which is
+     * what decides how fast the image was moving on release.
+     * 
+     * @return {void}
+     */
+    trackPanVelocity() {
+        const now = performance.now();
+        
+        this.panSamples.push({ x: this.translateX, y: this.translateY, time: now });
+        while (this.panSamples.length > 2 && now - this.panSamples[0].time > 100) {
+            this.panSamples.shift();
+        }
+    }
+    
+    /**
+     * Calculate the pan velocity at the moment of release.
+     * 
+     * Returns zero when the pointer rested before being lifted,
+     * so holding still and letting go doesn't fling the image.
+     * 
+     * @return {Object} Velocity in px per ms: {x: number, y: number}
+     */
+    getReleaseVelocity() {
+        const samples = this.panSamples;
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        
+        if (samples.length < 2 || performance.now() - last.time > 50) {
+            return { x: 0, y: 0 };
+        }
+        
+        const elapsed = last.time - first.time;
+        if (elapsed <= 0) {
+            return { x: 0, y: 0 };
+        }
+        
+        return {
+            x: (last.x - first.x) / elapsed,
+            y: (last.y - first.y) / elapsed
+        };
+    }
+    
+    /**
+     * Let the image glide on after a pan is released.
+     * 
+     * Decays the release velocity with momentumFriction every frame.
+     * Past the bounds the glide is braked hard and then settle()
+     * springs the image back. Runs on the animation frame, so any
+     * new gesture or animation interrupts it.
+     * 
+     * @return {void}
+     */
+    startMomentum() {
+        const velocity = this.getReleaseVelocity();
+        this.panSamples = [];
+        
+        if (!this.options.momentum || this.prefersReducedMotion() || Math.hypot(velocity.x, velocity.y) < 0.05) {
+            this.settle();
+            return;
+        }
+        
+        this.cancelAnimation();
+        
+        let lastTime = performance.now();
+        
+        const step = (now) => {
+            // Cap the frame time so a stalled tab doesn't launch the image
+            const elapsed = Math.min(now - lastTime, 32);
+            lastTime = now;
+            
+            const bounds = this.calculateBounds();
+            const outsideX = this.translateX < bounds.minX || this.translateX > bounds.maxX;
+            const outsideY = this.translateY < bounds.minY || this.translateY > bounds.maxY;
+            
+            // Brake much harder while overscrolled so the glide stops close to the edge
+            velocity.x *= Math.pow(outsideX ? 0.6 : this.options.momentumFriction, elapsed / 16);
+            velocity.y *= Math.pow(outsideY ? 0.6 : this.options.momentumFriction, elapsed / 16);
+            
+            this.translateX += velocity.x * elapsed;
+            this.translateY += velocity.y * elapsed;
+            this.updateTransform();
+            
+            if (Math.hypot(velocity.x, velocity.y) > 0.02) {
+                this.animationFrame = requestAnimationFrame(step);
+            } else {
+                this.animationFrame = null;
+                this.settle();
+            }
+        };
+        
+        this.animationFrame = requestAnimationFrame(step);
+    }
+    
+    /**
+     * Spring the image back inside its bounds after overscrolling.
+     * 
+     * @return {void}
+     */
+    settle() {
+        const bounds = this.calculateBounds();
+        const translateX = Math.max(bounds.minX, Math.min(bounds.maxX, this.translateX));
+        const translateY = Math.max(bounds.minY, Math.min(bounds.maxY, this.translateY));
+        
+        if (translateX === this.translateX && translateY === this.translateY) {
+            return;
+        }
+        
+        this.animateTo({ zoom: this.currentZoom, translateX, translateY });
+    }
+    
+    /**
+     * Apply rubber band resistance to a translation beyond its bounds.
+     * 
+     * Inside [min, max] the value is returned as is. Outside, the
+     * overscroll is compressed so it approaches but never exceeds the
+     * viewport dimension, like native scroll views. A rubberBand
+     * option of 0 turns this into a hard clamp.
+     * 
+     * @param {number} value - Unconstrained translation
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @param {number} dimension - Viewport size along this axis
+     * @return {number} Translation with resistance applied
+     */
+    applyRubberBand(value, min, max, dimension) {
+        const resist = (overscroll) => {
+            const constant = this.options.rubberBand;
+            return (1 - 1 / ((overscroll * constant / dimension) + 1)) * dimension;
+        };
+        
+        if (value < min) {
+            return min - resist(min - value);
+        }
+        if (value > max) {
+            return max + resist(value - max);
+        }
+        return value;
+    }
+    
+    /**
+     * Handle mouse wheel and trackpad zoom with cursor tracking.
+     * 
+     * Translates wheel movement into a zoom factor proportional to the
+     * normalised delta, so a high-resolution trackpad zooms smoothly
+     * instead of firing a full step per event. Trackpad pinch arrives
+     * as wheel events with ctrlKey set and uses its own sensitivity.
+     * With the wheelPan option, plain two-finger scrolling pans instead.
+     * Zoom occurs at the cursor position; wheel down zooms out.
+     * 
+     * @param {WheelEvent} e - The wheel event object
+     * @return {void}
+     */
+    handleWheel(e) {
+        if (this.isLoupeMode) {
+            this.handleLoupeWheel(e);
+            return;
+        }
+        
+        e.preventDefault();
+        this.cancelAnimation();
+        
+        const delta = this.normalizeWheelDelta(e);
+        const isPinch = e.ctrlKey;
+        
+        if (this.options.wheelPan && !isPinch) {
+            this.panBy(-delta.x, -delta.y);
+            this.announcePosition();
+            return;
+        }
+        
+        const sensitivity = isPinch ? this.options.pinchSensitivity : this.options.wheelSensitivity;
+        
+        // Limit single events so a page-sized delta can't jump straight to a zoom limit
+        const deltaY = Math.max(-300, Math.min(300, delta.y));
+        
+        this.zoomTo(this.currentZoom * Math.exp(-deltaY * sensitivity), { x: e.clientX, y: e.clientY });
+        this.announcePosition();
+    }
+    
+    /**
+     * Convert wheel deltas to pixels.
+     * 
+     * Browsers report wheel movement in pixels, lines or pages
+     * depending on device and platform (deltaMode 0, 1 and 2).
+     * 
+     * @param {WheelEvent} e - The wheel event object
+     * @return {Object} Delta in pixels: {x: number, y: number}
+     */
+    normalizeWheelDelta(e) {
+        let multiplier = 1;
+        
+        if (e.deltaMode === 1) {
+            multiplier = 16; // Approximate line height
+        } else if (e.deltaMode === 2) {
+            multiplier = this.getViewportSize().height;
+        }
+        
+        return { x: e.deltaX * multiplier, y: e.deltaY * multiplier };
+    }
+    
+    /**
+     * Handle Safari's trackpad pinch gesture events.
+     * 
+     * Safari on macOS reports trackpad pinch as non-standard
+     * gesturestart/gesturechange events with a cumulative scale
+     * rather than ctrl+wheel. Our own gesturestart/gestureend
+     * CustomEvents share the names, so events without a numeric
+     * scale are ignored. iOS Safari sends the same events during a
+     * touch pinch, which the pointer events handle already.
+     * 
+     * @param {Event} e - The Safari GestureEvent object
+     * @return {void}
+     */
+    handleSafariGesture(e) {
+        if (typeof e.scale !== 'number' || this.pointers.size > 0) return;
+        
+        e.preventDefault();
+        
+        if (e.type === 'gesturestart') {
+            this.cancelAnimation();
+            this.initialPinchZoom = this.currentZoom;
+            return;
+        }
+        
+        this.zoomTo(this.initialPinchZoom * e.scale, { x: e.clientX, y: e.clientY });
+    }
+    
+    /**
+     * Start a pinch with the first two tracked pointers.
+     * 
+     * Stores the initial pinch center, converted to image percentage
+     * coordinates for accurate zoom tracking, along with the starting
+     * zoom and finger distance.
+     * 
+     * @return {void}
+     */
+    beginPinch() {
+        const [first, second] = this.pointers.values();
+        
+        this.isDragging = false;
+        this.imageElement.classList.remove('dragging');
+        
+        // Store initial pinch center as screen coordinates
+        const centerX = (first.x + second.x) / 2;
+        const centerY = (first.y + second.y) / 2;
+        
+        // Convert to image percentage coordinates
+        const imagePercent = this.screenToImagePercent(centerX, centerY);
+        
+        this.initialPinchCenter = { x: centerX, y: centerY };
+        this.initialPinchImagePercent = imagePercent;
+        this.initialPinchZoom = this.currentZoom;
+        this.initialPinchTranslate = { x: this.translateX, y: this.translateY };
+        this.initialPinchDistance = this.getPointerDistance(first, second);
+        this.initialPinchAngle = this.getPointerAngle(first, second);
+        this.initialPinchRotation = this.rotation;
+        this.pinchRotationOffset = null;
+        
+        // Restart the gesture so a changed set of fingers is reported as a new pinch
+        this.endGesture();
+        this.startGesture('pinch');
+    }
+    
+    /**
+     * Update the zoom while pinching.
+     * 
+     * Uses initial pinch state to maintain consistent zoom center
+     * throughout the gesture, similar to iPhone behavior.
+     * 
+     * @return {void}
+     */
+    movePinch() {
+        const [first, second] = this.pointers.values();
+        const currentDistance = this.getPointerDistance(first, second);
+        
+        // Only process if we have a valid initial distance
+        if (this.initialPinchDistance === 0) {
+            return;
+        }
+        
+        // Calculate scale factor from initial pinch distance
+        const scaleFromInitial = currentDistance / this.initialPinchDistance;
+        
+        // Calculate new zoom level from initial state
+        const newZoom = Math.min(Math.max(this.initialPinchZoom * scaleFromInitial, this.minZoom), this.maxZoom);
+        
+        // Twisting the fingers rotates once past the threshold, measured from
+        // where the threshold was crossed so the image doesn't jump
+        if (this.options.rotationGesture) {
+            const twist = this.getPointerAngle(first, second) - this.initialPinchAngle;
+            const angle = ((twist + 540) % 360) - 180;
+            
+            if (this.pinchRotationOffset === null && Math.abs(angle) > this.options.rotationThreshold) {
+                this.pinchRotationOffset = angle;
+            }
+            if (this.pinchRotationOffset !== null) {
+                this.rotation = this.initialPinchRotation + angle - this.pinchRotationOffset;
+                this.pinchRotated = true;
+            }
+        }
+        
+        // Get container bounds for screen coordinate calculation
+        const rect = this.container.getBoundingClientRect();
+        const targetScreenX = this.initialPinchCenter.x - rect.left - rect.width / 2;
+        const targetScreenY = this.initialPinchCenter.y - rect.top - rect.height / 2;
+        
+        // Calculate where the pinched image point ends up relative to the image position
+        const offset = this.imagePercentToScreen(this.initialPinchImagePercent.x, this.initialPinchImagePercent.y, newZoom, 0, 0);
+        
+        // Calculate translation to keep the pinched point under fingers
+        this.translateX = targetScreenX - offset.x;
+        this.translateY = targetScreenY - offset.y;
+        this.currentZoom = newZoom;
+        
+        this.updateTransform();
+        this.updateButtons();
+    }
+    
+    /**
+     * Remember a finished single-finger touch if it was a tap.
+     * 
+     * A tap is short and barely moves. Only then can the next
+     * touch turn into a double tap.
+     * 
+     * @param {number} endX - X coordinate where the finger was lifted
+     * @param {number} endY - Y coordinate where the finger was lifted
+     * @return {void}
+     */
+    recordTap(endX, endY) {
+        const now = performance.now();
+        const isTap = now - this.pointerStartTime < this.options.doubleTapDelay &&
+            Math.hypot(endX - this.pointerStartX, endY - this.pointerStartY) < 10;
+        
+        this.lastTap = isTap ? { x: endX, y: endY, time: now } : null;
+    }
+    
+    /**
+     * Check whether a new touch completes a double tap.
+     * 
+     * @param {number} clientX - X coordinate of the new touch
+     * @param {number} clientY - Y coordinate of the new touch
+     * @return {boolean} True if it follows a tap closely in time and place
+     */
+    isSecondTap(clientX, clientY) {
+        const tap = this.lastTap;
+        
+        return tap !== null &&
+            performance.now() - tap.time < this.options.doubleTapDelay &&
+            Math.hypot(clientX - tap.x, clientY - tap.y) < 30;
+    }
+    
+    /**
+     * Start a double-tap zoom from the second tap.
+     * 
+     * @param {number} clientX - X coordinate of the second tap
+     * @param {number} clientY - Y coordinate of the second tap
+     * @return {void}
+     */
+    beginTapZoom(clientX, clientY) {
+        this.startGesture('tapzoom');
+        
+        this.lastTap = null;
+        this.tapZoom = {
+            x: clientX,
+            y: clientY,
+            startZoom: this.currentZoom,
+            moved: false
+        };
+    }
+    
+    /**
+     * Zoom while the second tap of a double tap is dragged.
+     * 
+     * Like mobile maps, dragging down zooms in and dragging up zooms
+     * out, always around the tapped point. Small movements are ignored
+     * so a slightly shaky double tap still toggles.
+     * 
+     * @param {number} clientY - Current Y coordinate of the finger
+     * @return {void}
+     */
+    moveTapZoom(clientY) {
+        const deltaY = clientY - this.tapZoom.y;
+        
+        if (!this.tapZoom.moved && Math.abs(deltaY) < 10) {
+            return;
+        }
+        
+        this.tapZoom.moved = true;
+        this.zoomTo(this.tapZoom.startZoom * Math.exp(deltaY / 150), { x: this.tapZoom.x, y: this.tapZoom.y });
+        this.updateButtons();
+    }
+    
+    /**
+     * Finish a double-tap zoom.
+     * 
+     * A second tap that was not dragged toggles the zoom at the
+     * tapped point; a dragged one just stays where it ended.
+     * 
+     * @return {void}
+     */
+    endTapZoom() {
+        const tap = this.tapZoom;
+        
+        this.tapZoom = null;
+        this.endGesture();
+        
+        if (!tap.moved) {
+            this.toggleZoomAt(tap.x, tap.y);
+        } else {
+            this.announceZoom();
+        }
+    }
+    
+    /**
+     * Handle double-click zoom on desktop.
+     * 
+     * @param {MouseEvent} e - The dblclick event object
+     * @return {void}
+     */
+    handleDoubleClick(e) {
+        // Don't zoom when double-clicking buttons
+        if (e.target.closest('[data-action]') || e.target.closest('.zoom-controls')) {
+            return;
+        }
+        // Touch and pen double taps are handled by the tap logic already,
+        // in edit mode clicks drop pins and in loupe mode the zoom stays
+        if (this.lastPointerType !== 'mouse' || this.isEditing || this.isLoupeMode) {
+            return;
+        }
+        
+        e.preventDefault();
+        this.toggleZoomAt(e.clientX, e.clientY);
+    }
+    
+    /**
+     * Toggle between the initial fit scale and the detail zoom.
+     * 
+     * When zoomed in beyond the initial scale this animates back to the
+     * initial view. Otherwise it zooms to detailZoom (a multiple of the
+     * initial scale) centred on the given point via zoomTo().
+     * 
+     * @param {number} clientX - X coordinate of the tap or click
+     * @param {number} clientY - Y coordinate of the tap or click
+     * @return {void}
+     */
+    toggleZoomAt(clientX, clientY) {
+        if (this.currentZoom > this.initialScale + 0.001) {
+            this.animateTo({ zoom: this.initialScale, translateX: 0, translateY: 0 });
+        } else {
+            this.zoomTo(this.initialScale * this.options.detailZoom, { x: clientX, y: clientY }, { animate: true });
+        }
+        
+        this.announceZoom();
+    }
+    
+    /**
+     * Navigate the gallery after a horizontal swipe.
+     * 
+     * Only applies while the image is not zoomed in beyond its initial
+     * fitted view, see isZoomedOut(). The swipe must be mostly horizontal and longer
+     * than the configured swipeThreshold.
+     * 
+     * @param {number} endX - X coordinate where the finger was lifted
+     * @param {number} endY - Y coordinate where the finger was lifted
+     * @return {boolean} True if the swipe changed the image
+     */
+    handleSwipe(endX, endY) {
+        if (!this.isGallery() || !this.isZoomedOut()) return false;
+        
+        const deltaX = endX - this.pointerStartX;
+        const deltaY = endY - this.pointerStartY;
+        
+        if (Math.abs(deltaX) < this.options.swipeThreshold || Math.abs(deltaX) < Math.abs(deltaY)) {
+            return false;
+        }
+        
+        // Swiping left reveals the image to the right
+        this.stepGallery(deltaX < 0 ? 1 : -1);
+        return true;
+    }
+    
+    /**
+     * Activate the annotation a pointer was pressed and released on.
+     * 
+     * The container captures every pointer so a drag that starts on an
+     * annotation still pans; only a release close to where the pointer
+     * went down counts as a click on the annotation.
+     * 
+     * @param {PointerEvent} e - Pointer up event
+     * @return {boolean} True if an annotation was activated
+     */
+    handleAnnotationTap(e) {
+        const element = this.pointerStartTarget && this.pointerStartTarget.closest('[data-annotation-id]');
+        const distance = Math.hypot(e.clientX - this.pointerStartX, e.clientY - this.pointerStartY);
+        
+        if (!element || distance > 10) return false;
+        
+        this.activateAnnotation(element.dataset.annotationId);
+        return true;
+    }
+    
+    /**
+     * Calculate distance between two pointers.
+     * 
+     * Uses Pythagorean theorem to determine the distance
+     * between two fingers for pinch gesture scaling.
+     * 
+     * @param {Object} first - First pointer position {x, y}
+     * @param {Object} second - Second pointer position {x, y}
+     * @return {number} Distance between the pointers in pixels
+     */
+    getPointerDistance(first, second) {
+        return Math.hypot(first.x - second.x, first.y - second.y);
+    }
+    
+    /**
+     * Calculate the angle of the line between two pointers.
+     * 
+     * @param {Object} first - Pointer position: {x, y}
+     * @param {Object} second - Pointer position: {x, y}
+     * @return {number} Angle in degrees
+     */
+    getPointerAngle(first, second) {
+        return Math.atan2(second.y - first.y, second.x - first.x) * 180 / Math.PI;
+    }
+    
+    /**
+     * Zoom in by configured step factor.
+     * 
+     * Multiplies the zoom level by zoomStep while respecting
+     * maximum zoom limits, so every step feels the same regardless
+     * of image size. Zooms toward the center of the viewport.
+     * Announces change for accessibility.
+     * 
+     * @return {void}
+     */    
+    zoomIn() {
+        // Calculate viewport center coordinates
+        const rect = this.getViewportRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+        
+        this.zoomToPoint(centerX, centerY, this.zoomStep, { animate: true });
+        this.announceZoom();
+    }
+    
+    /**
+     * Zoom out by configured step factor.
+     * 
+     * Divides the zoom level by zoomStep while respecting
+     * minimum zoom limits. Zooms away from the center of the viewport.
+     * Announces change for accessibility.
+     * 
+     * @return {void}
+     */
+    zoomOut() {
+        // Calculate viewport center coordinates
+        const rect = this.getViewportRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+        
+        this.zoomToPoint(centerX, centerY, 1 / this.zoomStep, { animate: true });
+        this.announceZoom();
+    }
+    
+    /**
+     * Set zoom level to specific value.
+     * 
+     * Updates the current zoom level and refreshes
+     * the transform and button states accordingly.
+     * 
+     * @param {number} zoom - The target zoom level
+     * @return {void}
+     */
+    setZoom(zoom) {
+        this.currentZoom = zoom;
+        this.updateTransform();
+        this.updateButtons();
+    }    
+    
+    /**
+     * Convert screen coordinates to image percentage coordinates.
+     * 
+     * Transforms screen-space coordinates to image-relative percentages (0-1)
+     * by accounting for current zoom, translation, rotation and mirroring.
+     * This enables accurate zoom-to-point functionality regardless of
+     * current image state. In split compare mode points in either pane
+     * map to the same image position.
+     * 
+     * @param {number} clientX - Screen X coordinate
+     * @param {number} clientY - Screen Y coordinate
+     * @return {Object} Coordinates as percentages: {x: number, y: number}
+     */
+    screenToImagePercent(clientX, clientY) {
+        const rect = this.getViewportRect();
+        
+        // Get screen coordinates relative to container center
+        const screenX = this.toViewportX(clientX) - rect.left - rect.width / 2;
+        const screenY = clientY - rect.top - rect.height / 2;
+        
+        // Convert to image coordinates by undoing the current transform:
+        // translation and zoom, then rotation, then mirroring
+        const scaledX = (screenX - this.translateX) / this.currentZoom;
+        const scaledY = (screenY - this.translateY) / this.currentZoom;
+        
+        const angle = -this.rotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        
+        const imageX = (scaledX * cos - scaledY * sin) * (this.flipX ? -1 : 1);
+        const imageY = (scaledX * sin + scaledY * cos) * (this.flipY ? -1 : 1);
+        
+        // Convert to percentage of image size
+        const { width: imgWidth, height: imgHeight } = this.getImageSize();
+        
+        const percentX = (imageX / imgWidth) + 0.5; // +0.5 because image center is at 0,0
+        const percentY = (imageY / imgHeight) + 0.5;
+        
+        return { x: percentX, y: percentY };
+    }
+    
+    /**
+     * Convert image percentage coordinates back to screen coordinates.
+     * 
+     * Transforms image-relative percentages to screen-space coordinates
+     * using specified zoom and translation values and the current
+     * mirroring. Used for positioning calculations during zoom operations.
+     * 
+     * @param {number} percentX - X percentage (0-1) of image width
+     * @param {number} percentY - Y percentage (0-1) of image height
+     * @param {number} zoom - Zoom level to use for calculation
+     * @param {number} translateX - X translation to apply
+     * @param {number} translateY - Y translation to apply
+     * @param {number} [rotation] - Rotation in degrees, defaults to the current rotation
+     * @return {Object} Screen coordinates relative to container center: {x: number, y: number}
+     */
+    imagePercentToScreen(percentX, percentY, zoom, translateX, translateY, rotation = this.rotation) {
+        const { width: imgWidth, height: imgHeight } = this.getImageSize();
+        
+        // Convert percentage to mirrored image coordinates
+        const imageX = (percentX - 0.5) * imgWidth * (this.flipX ? -1 : 1);
+        const imageY = (percentY - 0.5) * imgHeight * (this.flipY ? -1 : 1);
+        
+        const angle = rotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        
+        // Convert to screen coordinates
+        const screenX = (imageX * cos - imageY * sin) * zoom + translateX;
+        const screenY = (imageX * sin + imageY * cos) * zoom + translateY;
+        
+        return { x: screenX, y: screenY };
+    }    
+    
+    /**
+     * Zoom to a specific point by a multiplicative factor.
+     * 
+     * Implements precise zoom-to-point functionality by converting screen
+     * coordinates to image percentages, applying zoom change, then repositioning
+     * to keep the same image area under the cursor/finger. While an animation
+     * is running the factor applies to the zoom it is heading to, so quick
+     * repeated steps add up exactly.
+     * 
+     * @param {number} clientX - X coordinate of zoom origin in screen space
+     * @param {number} clientY - Y coordinate of zoom origin in screen space
+     * @param {number} zoomFactor - Factor to zoom by, above 1 zooms in, below 1 zooms out
+     * @param {Object} [options] - Animation options, see zoomTo()
+     * @return {void}
+     */
+    zoomToPoint(clientX, clientY, zoomFactor, options = {}) {
+        const baseZoom = this.animationTarget ? this.animationTarget.zoom : this.currentZoom;
+        this.zoomTo(baseZoom * zoomFactor, { x: clientX, y: clientY }, options);
+    }
+    
+    /**
+     * Zoom to an absolute level, keeping the given point in place.
+     * 
+     * Converts the point to image percentages and computes the translation
+     * that keeps that image area under the point at the new level. With
+     * options.animate the change is tweened by animateTo(), otherwise it
+     * is applied immediately.
+     * 
+     * @param {number} level - Target zoom level, clamped to minZoom/maxZoom
+     * @param {Object|null} [point] - Screen point {x, y}, defaults to the container center
+     * @param {Object} [options] - {animate, duration, easing}
+     * @return {void}
+     */
+    zoomTo(level, point = null, options = {}) {
+        const rect = this.getViewportRect();
+        const clientX = point ? this.toViewportX(point.x) : rect.left + rect.width / 2;
+        const clientY = point ? point.y : rect.top + rect.height / 2;
+        
+        // Convert screen coordinates to image percentage
+        const imagePercent = this.screenToImagePercent(clientX, clientY);
+        
+        const oldZoom = this.currentZoom;
+        const newZoom = Math.min(Math.max(level, this.minZoom), this.maxZoom);
+        
+        // Only proceed if zoom actually changed
+        if (newZoom === oldZoom) {
+            return;
+        }
+        
+        // Calculate where this image point should be on screen after zoom
+        const targetScreenX = clientX - rect.left - rect.width / 2;
+        const targetScreenY = clientY - rect.top - rect.height / 2;
+        
+        // Calculate what translation would put the image point at the target screen position
+        const offset = this.imagePercentToScreen(imagePercent.x, imagePercent.y, newZoom, 0, 0);
+        
+        const view = {
+            zoom: newZoom,
+            translateX: targetScreenX - offset.x,
+            translateY: targetScreenY - offset.y
+        };
+        
+        options.animate ? this.animateTo(view, options) : this.setView(view);
+    }
+    
+    /**
+     * Move the image by the given screen distance.
+     * 
+     * While an animation is running the distance is added to where the
+     * animation is heading, so repeated key presses never lose ground.
+     * 
+     * @param {number} deltaX - Horizontal distance in pixels
+     * @param {number} deltaY - Vertical distance in pixels
+     * @param {Object} [options] - Animation options, see zoomTo()
+     * @return {void}
+     */
+    panBy(deltaX, deltaY, options = {}) {
+        const from = this.animationTarget || this.getView();
+        const view = {
+            zoom: from.zoom,
+            translateX: from.translateX + deltaX,
+            translateY: from.translateY + deltaY
+        };
+        
+        options.animate ? this.animateTo(view, options) : this.setView(view);
+    }
+    
+    /**
+     * Get the distance an arrow key pans.
+     * 
+     * The step is panStep of the zoomed image's size, so it covers the
+     * same part of the image at any zoom, but never more than most of
+     * the viewport so no area is skipped unseen.
+     * 
+     * @return {Object} Distance in pixels: {x, y}
+     */
+    getPanStep() {
+        const zoom = this.animationTarget ? this.animationTarget.zoom : this.currentZoom;
+        const { width, height } = this.getRotatedSize();
+        const viewport = this.getViewportSize();
+        
+        return {
+            x: Math.min(width * zoom * this.options.panStep, viewport.width * 0.8),
+            y: Math.min(height * zoom * this.options.panStep, viewport.height * 0.8)
+        };
+    }
+    
+    /**
+     * Pan as far as allowed towards one edge of the image.
+     * 
+     * @param {string} edge - 'left', 'right', 'top' or 'bottom' on screen
+     * @return {void}
+     */
+    panToEdge(edge) {
+        const from = this.animationTarget || this.getView();
+        const bounds = this.calculateBounds(from.zoom);
+        const view = {
+            zoom: from.zoom,
+            translateX: from.translateX,
+            translateY: from.translateY
+        };
+        
+        if (edge === 'left' || edge === 'right') {
+            view.translateX = edge === 'left' ? bounds.maxX : bounds.minX;
+        } else {
+            view.translateY = edge === 'top' ? bounds.maxY : bounds.minY;
+        }
+        
+        this.animateTo(view);
+    }
+    
+    /**
+     * Pan one arrow key step, see getPanStep().
+     * 
+     * @param {number} directionX - 1 to move the image right, -1 left, 0 not at all
+     * @param {number} directionY - 1 to move the image down, -1 up, 0 not at all
+     * @return {void}
+     */
+    panByStep(directionX, directionY) {
+        const step = this.getPanStep();
+        
+        this.panBy(step.x * directionX, step.y * directionY, { animate: true });
+        this.announcePosition();
+    }
+    
+    /**
+     * Center the view on a point of the image, keeping the zoom.
+     * 
+     * @param {number} percentX - Horizontal position in the image (0-1)
+     * @param {number} percentY - Vertical position in the image (0-1)
+     * @param {Object} [options] - Animation options, see zoomTo()
+     * @return {void}
+     */
+    centerOn(percentX, percentY, options = {}) {
+        const zoom = this.animationTarget ? this.animationTarget.zoom : this.currentZoom;
+        const offset = this.imagePercentToScreen(percentX, percentY, zoom, 0, 0);
+        const view = {
+            zoom,
+            translateX: -offset.x,
+            translateY: -offset.y
+        };
+        
+        options.animate ? this.animateTo(view, options) : this.setView(view);
+    }
+    
+    /**
+     * Get the current zoom, translation and rotation.
+     * 
+     * @return {Object} View: {zoom, translateX, translateY, rotation}
+     */
+    getView() {
+        return {
+            zoom: this.currentZoom,
+            translateX: this.translateX,
+            translateY: this.translateY,
+            rotation: this.rotation
+        };
+    }
+    
+    /**
+     * Apply a view immediately, stopping any running animation.
+     * 
+     * @param {Object} view - Target view: {zoom, translateX, translateY}, optionally {rotation}
+     * @return {void}
+     */
+    setView(view) {
+        this.cancelAnimation();
+        
+        if (view.rotation !== undefined) {
+            this.rotation = view.rotation;
+        }
+        this.currentZoom = view.zoom;
+        this.translateX = view.translateX;
+        this.translateY = view.translateY;
+        this.updateTransform();
+        this.updateButtons();
+    }
+    
+    /**
+     * Tween from the current view to a target view.
+     * 
+     * Drives currentZoom/translateX/translateY/rotation with
+     * requestAnimationFrame using the configured duration and easing. The
+     * target translation is constrained to the bounds at the target zoom
+     * up front so the image doesn't snap at the end. Jumps straight to the
+     * target when the user prefers reduced motion. Any running animation
+     * is replaced; a view without rotation keeps the one it was heading to.
+     * 
+     * @param {Object} view - Target view: {zoom, translateX, translateY}, optionally {rotation}
+     * @param {Object} [options] - {duration, easing, onComplete}
+     * @return {void}
+     */
+    animateTo(view, options = {}) {
+        const duration = options.duration !== undefined ? options.duration : this.options.animationDuration;
+        const easing = this.getEasing(options.easing || this.options.easing);
+        const onComplete = options.onComplete || (() => {});
+        
+        const rotation = view.rotation !== undefined ? view.rotation : (this.animationTarget || this).rotation;
+        const bounds = this.calculateBounds(view.zoom, rotation);
+        const to = {
+            zoom: view.zoom,
+            translateX: Math.max(bounds.minX, Math.min(bounds.maxX, view.translateX)),
+            translateY: Math.max(bounds.minY, Math.min(bounds.maxY, view.translateY)),
+            rotation
+        };
+        
+        if (duration <= 0 || this.prefersReducedMotion()) {
+            this.setView(to);
+            onComplete();
+            return;
+        }
+        
+        this.cancelAnimation();
+        
+        const from = this.getView();
+        const startTime = performance.now();
+        this.animationTarget = to;
+        
+        const step = (now) => {
+            const progress = Math.min((now - startTime) / duration, 1);
+            const eased = easing(progress);
+            
+            this.currentZoom = from.zoom + (to.zoom - from.zoom) * eased;
+            this.translateX = from.translateX + (to.translateX - from.translateX) * eased;
+            this.translateY = from.translateY + (to.translateY - from.translateY) * eased;
+            this.rotation = from.rotation + (to.rotation - from.rotation) * eased;
+            this.updateTransform();
+            this.updateButtons();
+            
+            if (progress < 1) {
+                this.animationFrame = requestAnimationFrame(step);
+            } else {
+                this.animationFrame = null;
+                this.animationTarget = null;
+                onComplete();
+            }
+        };
+        
+        this.animationFrame = requestAnimationFrame(step);
+    }
+    
+    /**
+     * Stop a running animation where it currently is.
+     * 
+     * An interrupted rotation jumps to its target view as a whole
+     * instead, as the zoom limits are set for the target angle and the
+     * translation only fits that angle.
+     * 
+     * @return {void}
+     */
+    cancelAnimation() {
+        if (this.animationFrame !== null) {
+            cancelAnimationFrame(this.animationFrame);
+        }
+        const target = this.animationTarget;
+        
+        this.animationFrame = null;
+        this.animationTarget = null;
+        
+        if (target && target.rotation !== this.rotation) {
+            this.setView(target);
+        }
+    }
+    
+    /**
+     * Resolve an easing option to a function.
+     * 
+     * @param {string|Function} easing - Name in FullscreenImageZoom.easings or a function of progress (0-1)
+     * @return {Function} Easing function
+     */
+    getEasing(easing) {
+        if (typeof easing === 'function') {
+            return easing;
+        }
+        return FullscreenImageZoom.easings[easing] || FullscreenImageZoom.easings.linear;
+    }
+    
+    /**
+     * Check whether the user has asked the system to minimize motion.
+     * 
+     * @return {boolean} True when prefers-reduced-motion is set to reduce
+     */
+    prefersReducedMotion() {
+        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+    
+    /**
+     * Check whether the viewer is showing a gallery of several images.
+     * 
+     * @return {boolean} True when more than one image source is configured
+     */
+    isGallery() {
+        return this.images.length > 1;
+    }
+    
+    /**
+     * Get the id a gallery image is known by in deep links.
+     * 
+     * @param {number} index - Index in the images option
+     * @return {string} The image's id option, or else its index
+     */
+    getImageId(index) {
+        const image = this.images[index];
+        return String(image && image.id !== undefined ? image.id : index);
+    }
+    
+    /**
+     * Find a gallery image by its deep link id.
+     * 
+     * @param {string|undefined} id - Image id
+     * @return {number} Index in the images option, -1 if not found
+     */
+    findImageIndex(id) {
+        if (id === undefined) return -1;
+        return this.images.findIndex((image, index) => this.getImageId(index) === id);
+    }
+    
+    /**
+     * Check whether the image is not zoomed in beyond its initial view.
+     * 
+     * The initial view is the fitted one, which with the 'cover' fit
+     * mode is above minZoom, so gallery navigation works right away.
+     * 
+     * @return {boolean} True when currentZoom is at or below initialScale
+     */
+    isZoomedOut() {
+        return this.currentZoom <= this.initialScale + 0.001;
+    }
+    
+    /**
+     * Show the next image in the gallery.
+     * 
+     * @return {void}
+     */
+    next() {
+        this.goTo(this.currentIndex + 1);
+    }
+    
+    /**
+     * Show the previous image in the gallery.
+     * 
+     * @return {void}
+     */
+    previous() {
+        this.goTo(this.currentIndex - 1);
+    }
+    
+    /**
+     * Move through the gallery in a screen direction.
+     * 
+     * Right is the next image and left the previous one, the other way
+     * around in right-to-left layouts.
+     * 
+     * @param {number} direction - 1 for right, -1 for left
+     * @return {void}
+     */
+    stepGallery(direction) {
+        (direction > 0) === (this.dir === 'rtl') ? this.previous() : this.next();
+    }
+    
+    /**
+     * Navigate to the gallery image at the given index.
+     * 
+     * Wraps around when the loop option is set, otherwise stops at
+     * the first and last image. Remembers the zoom state of the
+     * image being left when rememberZoom is enabled.
+     * 
+     * @param {number} index - Index in the images option
+     * @return {void}
+     */
+    goTo(index) {
+        const count = this.images.length;
+        if (count === 0) return;
+        
+        if (this.options.loop) {
+            index = (index + count) % count;
+        }
+        
+        if (index < 0 || index >= count || index === this.currentIndex) {
+            return;
+        }
+        
+        if (this.options.rememberZoom) {
+            this.imageStates.set(this.currentIndex, {
+                zoom: this.currentZoom,
+                translateX: this.translateX,
+                translateY: this.translateY,
+                rotation: this.rotation,
+                flipX: this.flipX,
+                flipY: this.flipY
+            });
+        }
+        
+        this.showImage(index);
+        this.announceImage();
+        this.emit('imagechange', { index });
+    }
+    
+    /**
+     * Load the gallery image at the given index into the image element.
+     * 
+     * Swaps source, alt text and caption, then recomputes the initial
+     * scale for the new image's natural size once it has loaded.
+     * 
+     * @param {number} index - Index in the images option
+     * @return {void}
+     */
+    showImage(index) {
+        const image = this.images[index];
+        
+        this.cancelAnimation();
+        this.currentIndex = index;
+        this.translateX = 0;
+        this.translateY = 0;
+        this.rotation = 0;
+        this.flipX = false;
+        this.flipY = false;
+        this.orientation = { rotation: 0, flipX: false, flipY: false };
+        
+        this.imageElement.src = image.src;
+        this.imageElement.alt = image.alt || '';
+        
+        if (this.caption) {
+            this.caption.textContent = image.caption || '';
+            this.caption.hidden = !image.caption;
+        }
+        
+        this.updateGalleryControls();
+        this.preloadNeighbours();
+        this.initializeImageScale();
+    }
+    
+    /**
+     * Restore the remembered zoom state of the current gallery image.
+     * 
+     * Does nothing unless rememberZoom is enabled and the image has
+     * been visited before. Orientation is restored as well, and the zoom
+     * is clamped to the limits for this image in that orientation.
+     * 
+     * @return {void}
+     */
+    restoreImageState() {
+        const state = this.options.rememberZoom && this.imageStates.get(this.currentIndex);
+        if (!state) return;
+        
+        this.rotation = state.rotation;
+        this.flipX = state.flipX;
+        this.flipY = state.flipY;
+        this.updateZoomLimits(state.rotation);
+        
+        this.currentZoom = Math.min(Math.max(state.zoom, this.minZoom), this.maxZoom);
+        this.translateX = state.translateX;
+        this.translateY = state.translateY;
+    }
+    
+    /**
+     * Preload the images next to the current one.
+     * 
+     * Makes swiping through the gallery feel instant by letting
+     * the browser cache the neighbouring sources ahead of time.
+     * 
+     * @return {void}
+     */
+    preloadNeighbours() {
+        const count = this.images.length;
+        
+        [this.currentIndex - 1, this.currentIndex + 1].forEach((index) => {
+            if (this.options.loop) {
+                index = (index + count) % count;
+            }
+            if (index < 0 || index >= count || index === this.currentIndex) return;
+            
+            const preloader = new Image();
+            preloader.src = this.images[index].src;
+        });
+    }
+    
+    /**
+     * Update visibility and state of the previous/next buttons.
+     * 
+     * @return {void}
+     */
+    updateGalleryControls() {
+        const count = this.images.length;
+        const buttons = [
+            [this.prevBtn, this.currentIndex > 0],
+            [this.nextBtn, this.currentIndex < count - 1]
+        ];
+        
+        buttons.forEach(([button, hasTarget]) => {
+            if (!button) return;
+            button.hidden = !this.isGallery();
+            button.disabled = !this.options.loop && !hasTarget;
+        });
+    }
+    
+    /**
+     * Add an annotation to the image.
+     * 
+     * Coordinates are image percentages (0-1), so annotations stay on the
+     * same spot of the image whatever its size, zoom or rotation, or
+     * natural image pixels when units is 'pixels'. The type follows from
+     * the fields when not given:
+     * - 'marker': {x, y}, drawn at a constant screen size
+     * - 'rect': {x, y, width, height}
+     * - 'polygon': {points: [[x, y], ...]}
+     * 
+     * @param {Object} annotation - Annotation with optional id, units, label, note and className
+     * @return {string} Id of the added annotation
+     */
+    addAnnotation(annotation) {
+        const type = annotation.type || (annotation.points ? 'polygon' : annotation.width !== undefined ? 'rect' : 'marker');
+        const id = annotation.id !== undefined ? String(annotation.id) : `annotation-${++this.annotationCount}`;
+        const stored = { ...annotation, id, type };
+        
+        this.removeAnnotation(id);
+        this.annotations.set(id, stored);
+        
+        if (this.annotationLayer) {
+            this.annotationLayer.add(stored);
+            
+            if (this.loadState === 'loaded') {
+                this.annotationLayer.update();
+            }
+        }
+        
+        return id;
+    }
+    
+    /**
+     * Remove an annotation.
+     * 
+     * @param {string} id - Annotation id
+     * @return {void}
+     */
+    removeAnnotation(id) {
+        if (!this.annotations.delete(String(id))) return;
+        
+        if (this.annotationLayer) {
+            this.annotationLayer.remove(String(id));
+        }
+    }
+    
+    /**
+     * Change fields of an annotation, keeping its place in the list.
+     * 
+     * @param {string} id - Annotation id
+     * @param {Object} changes - Fields to change, e.g. {note}
+     * @return {void}
+     */
+    updateAnnotation(id, changes) {
+        const annotation = this.annotations.get(String(id));
+        if (!annotation) return;
+        
+        const updated = { ...annotation, ...changes, id: annotation.id };
+        this.annotations.set(annotation.id, updated);
+        
+        if (this.annotationLayer) {
+            this.annotationLayer.remove(annotation.id);
+            this.annotationLayer.add(updated);
+            
+            if (this.loadState === 'loaded') {
+                this.annotationLayer.update();
+            }
+        }
+    }
+    
+    /**
+     * List the annotations in the order they were added.
+     * 
+     * @return {Array<Object>} Copies of the annotations
+     */
+    getAnnotations() {
+        return [...this.annotations.values()].map((annotation) => ({ ...annotation }));
+    }
+    
+    /**
+     * Get the corner points of an annotation in image percentages.
+     * 
+     * @param {Object} annotation - Stored annotation
+     * @return {Array<Array<number>>} Points: [[x, y], ...]
+     */
+    getAnnotationPoints(annotation) {
+        let points;
+        
+        if (annotation.type === 'polygon') {
+            points = annotation.points;
+        } else if (annotation.type === 'rect') {
+            const { x, y, width, height } = annotation;
+            points = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+        } else {
+            points = [[annotation.x, annotation.y]];
+        }
+        
+        if (annotation.units !== 'pixels') {
+            return points;
+        }
+        
+        const { width: imgWidth, height: imgHeight } = this.getImageSize();
+        return points.map(([x, y]) => [x / imgWidth, y / imgHeight]);
+    }
+    
+    /**
+     * Zoom to fit an annotation and move keyboard focus to it.
+     * 
+     * Regions are fitted into the container with a margin; a marker has
+     * no size, so the view zooms in to at least detailZoom around it.
+     * 
+     * @param {string} id - Annotation id
+     * @param {Object} [options] - Animation options, see zoomTo(); animates unless animate is false
+     * @return {void}
+     */
+    focusAnnotation(id, options = {}) {
+        const annotation = this.annotations.get(String(id));
+        if (!annotation) return;
+        
+        // Bounding box on screen at zoom 1, relative to the image position
+        const points = this.getAnnotationPoints(annotation).map(([x, y]) => this.imagePercentToScreen(x, y, 1, 0, 0));
+        const left = Math.min(...points.map((point) => point.x));
+        const right = Math.max(...points.map((point) => point.x));
+        const top = Math.min(...points.map((point) => point.y));
+        const bottom = Math.max(...points.map((point) => point.y));
+        
+        const currentZoom = this.animationTarget ? this.animationTarget.zoom : this.currentZoom;
+        const viewport = this.getViewportSize();
+        const zoom = annotation.type === 'marker'
+            ? Math.max(currentZoom, this.initialScale * this.options.detailZoom)
+            : Math.min(viewport.width * 0.8 / (right - left), viewport.height * 0.8 / (bottom - top));
+        const clampedZoom = Math.min(Math.max(zoom, this.minZoom), this.maxZoom);
+        
+        const view = {
+            zoom: clampedZoom,
+            translateX: -(left + right) / 2 * clampedZoom,
+            translateY: -(top + bottom) / 2 * clampedZoom
+        };
+        
+        options.animate === false ? this.setView(view) : this.animateTo(view, options);
+        
+        const element = this.annotationLayer && this.annotationLayer.getElement(annotation.id);
+        if (element) {
+            element.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Handle a click or key press on an annotation.
+     * 
+     * Emits the cancelable 'annotationclick' event and zooms to the
+     * annotation unless a listener prevented that. In edit mode the
+     * annotation's note is opened for editing instead.
+     * 
+     * @param {string} id - Annotation id
+     * @return {void}
+     */
+    activateAnnotation(id) {
+        const annotation = this.annotations.get(id);
+        if (!annotation) return;
+        
+        if (this.isEditing) {
+            this.openNoteEditor(id);
+            return;
+        }
+        
+        if (this.emit('annotationclick', { annotation: { ...annotation } }, true)) {
+            this.focusAnnotation(id);
+        }
+    }
+    
+    /**
+     * Switch loupe mode on or off.
+     * 
+     * In loupe mode the image stays at its current scale while a loupe
+     * magnifies the area under the pointer: as long as a mouse hovers
+     * over the image, or while a finger or pen is held down on it. The
+     * wheel changes the loupe's magnification instead of the zoom.
+     * Buttons and keyboard shortcuts keep working as usual.
+     * 
+     * @param {boolean} enabled - Whether to use the loupe
+     * @return {void}
+     */
+    setLoupeMode(enabled) {
+        if (enabled && this.isEditing) {
+            this.setEditMode(false);
+        }
+        
+        this.isLoupeMode = Boolean(enabled);
+        this.container.classList.toggle('is-loupe', this.isLoupeMode);
+        
+        if (!this.isLoupeMode) {
+            this.hideLoupe();
+        }
+        if (this.loupeBtn) {
+            this.loupeBtn.setAttribute('aria-pressed', this.isLoupeMode);
+        }
+    }
+    
+    /**
+     * Set the magnification of the loupe.
+     * 
+     * @param {number} magnification - Factor over the image's current scale, between 1 and loupeMaxZoom
+     * @return {void}
+     */
+    setLoupeZoom(magnification) {
+        this.loupeZoom = Math.min(Math.max(magnification, 1), this.options.loupeMaxZoom);
+        
+        if (this.loupe) {
+            this.loupe.update();
+        }
+    }
+    
+    /**
+     * Hide the loupe and forget the pointer holding it.
+     * 
+     * @return {void}
+     */
+    hideLoupe() {
+        clearTimeout(this.loupeHoldTimer);
+        this.loupeHoldTimer = null;
+        this.loupePointer = null;
+        
+        if (this.loupe) {
+            this.loupe.hide();
+        }
+    }
+    
+    /**
+     * Start showing the loupe for a touch or pen pointer.
+     * 
+     * The loupe appears once the pointer has been held down for
+     * loupeHoldDelay. A mouse shows it on hover instead.
+     * 
+     * @param {PointerEvent} e - The pointer down event object
+     * @return {void}
+     */
+    handleLoupePointerDown(e) {
+        if (e.pointerType === 'mouse') return;
+        
+        e.preventDefault();
+        this.hideLoupe();
+        this.container.setPointerCapture(e.pointerId);
+        this.loupePointer = e.pointerId;
+        this.loupe.moveTo(e.clientX, e.clientY);
+        
+        this.loupeHoldTimer = setTimeout(() => {
+            this.loupeHoldTimer = null;
+            this.loupe.show();
+        }, this.options.loupeHoldDelay);
+    }
+    
+    /**
+     * Move the loupe with the hovering mouse or the held pointer.
+     * 
+     * @param {PointerEvent} e - The pointer move event object
+     * @return {void}
+     */
+    handleLoupePointerMove(e) {
+        if (e.pointerType === 'mouse') {
+            this.loupe.moveTo(e.clientX, e.clientY);
+            this.loupe.show();
+            return;
+        }
+        if (e.pointerId !== this.loupePointer) return;
+        
+        e.preventDefault();
+        this.loupe.moveTo(e.clientX, e.clientY);
+    }
+    
+    /**
+     * Change the loupe's magnification with the wheel.
+     * 
+     * Only while the loupe is shown, so the page scrolls as usual
+     * otherwise.
+     * 
+     * @param {WheelEvent} e - The wheel event object
+     * @return {void}
+     */
+    handleLoupeWheel(e) {
+        if (!this.loupe.isVisible()) return;
+        
+        e.preventDefault();
+        const delta = this.normalizeWheelDelta(e);
+        const sensitivity = e.ctrlKey ? this.options.pinchSensitivity : this.options.wheelSensitivity;
+        
+        this.setLoupeZoom(this.loupeZoom * Math.exp(-delta.y * sensitivity));
+    }
+    
+    /**
+     * Switch edit mode on or off.
+     * 
+     * In edit mode a click on the image drops a pin and a drag draws a
+     * rectangle, instead of panning. Panning stays available with the
+     * middle mouse button, the editPanModifier key or two fingers.
+     * 
+     * @param {boolean} enabled - Whether to edit
+     * @return {void}
+     */
+    setEditMode(enabled) {
+        if (enabled && this.isLoupeMode) {
+            this.setLoupeMode(false);
+        }
+        
+        this.isEditing = Boolean(enabled);
+        this.cancelDrawing();
+        this.container.classList.toggle('is-editing', this.isEditing);
+        
+        if (!this.isEditing) {
+            this.closeNoteEditor();
+        }
+        if (this.editBtn) {
+            this.editBtn.setAttribute('aria-pressed', this.isEditing);
+        }
+        this.updateEditButtons();
+    }
+    
+    /**
+     * Start drawing an annotation at a pointer position.
+     * 
+     * @param {number} clientX - X coordinate in the viewport
+     * @param {number} clientY - Y coordinate in the viewport
+     * @return {void}
+     */
+    beginDrawing(clientX, clientY) {
+        this.startGesture('draw');
+        this.drawing = { startX: clientX, startY: clientY, start: this.screenToImagePixels(clientX, clientY), end: null };
+    }
+    
+    /**
+     * Update the rectangle being drawn.
+     * 
+     * @param {number} clientX - X coordinate in the viewport
+     * @param {number} clientY - Y coordinate in the viewport
+     * @return {void}
+     */
+    moveDrawing(clientX, clientY) {
+        const { width: imgWidth, height: imgHeight } = this.getImageSize();
+        
+        this.drawing.end = this.screenToImagePixels(clientX, clientY);
+        this.annotationLayer.setDraft(
+            this.getDrawnRect().map(([x, y]) => [x / imgWidth, y / imgHeight])
+        );
+    }
+    
+    /**
+     * Finish drawing and open the note editor for the new annotation.
+     * 
+     * A pointer that barely moved drops a pin, otherwise the dragged
+     * rectangle is added. Both are stored in natural image pixels.
+     * 
+     * @param {number} clientX - X coordinate in the viewport
+     * @param {number} clientY - Y coordinate in the viewport
+     * @return {void}
+     */
+    endDrawing(clientX, clientY) {
+        const drawing = this.drawing;
+        const isClick = Math.hypot(clientX - drawing.startX, clientY - drawing.startY) < 5;
+        
+        this.cancelDrawing();
+        this.recordEdit();
+        
+        if (isClick) {
+            drawing.end = null;
+        }
+        
+        const [[left, top], , [right, bottom]] = this.getDrawnRect(drawing);
+        const id = isClick
+            ? this.addAnnotation({ type: 'marker', units: 'pixels', x: left, y: top })
+            : this.addAnnotation({ type: 'rect', units: 'pixels', x: left, y: top, width: right - left, height: bottom - top });
+        
+        this.emit('annotationchange', { annotations: this.getAnnotations() });
+        this.openNoteEditor(id);
+    }
+    
+    /**
+     * Stop drawing without adding an annotation.
+     * 
+     * @return {void}
+     */
+    cancelDrawing() {
+        if (!this.drawing) return;
+        
+        this.drawing = null;
+        if (this.annotationLayer) {
+            this.annotationLayer.setDraft(null);
+        }
+        this.endGesture();
+    }
+    
+    /**
+     * Get the corners of the rectangle being drawn, clamped to the image.
+     * 
+     * @param {Object} [drawing] - Drawing state, defaults to the current one
+     * @return {Array<Array<number>>} Corners in natural pixels, clockwise from the top left
+     */
+    getDrawnRect(drawing = this.drawing) {
+        const { width: imgWidth, height: imgHeight } = this.getImageSize();
+        const end = drawing.end || drawing.start;
+        const clamp = (value, max) => Math.round(Math.min(Math.max(value, 0), max));
+        
+        const left = clamp(Math.min(drawing.start[0], end[0]), imgWidth);
+        const right = clamp(Math.max(drawing.start[0], end[0]), imgWidth);
+        const top = clamp(Math.min(drawing.start[1], end[1]), imgHeight);
+        const bottom = clamp(Math.max(drawing.start[1], end[1]), imgHeight);
+        
+        return [[left, top], [right, top], [right, bottom], [left, bottom]];
+    }
+    
+    /**
+     * Convert screen coordinates to natural image pixels.
+     * 
+     * @param {number} clientX - X coordinate in the viewport
+     * @param {number} clientY - Y coordinate in the viewport
+     * @return {Array<number>} Point: [x, y]
+     */
+    screenToImagePixels(clientX, clientY) {
+        const { width: imgWidth, height: imgHeight } = this.getImageSize();
+        const percent = this.screenToImagePercent(clientX, clientY);
+        
+        return [percent.x * imgWidth, percent.y * imgHeight];
+    }
+    
+    /**
+     * Open the note editor for an annotation.
+     * 
+     * @param {string} id - Annotation id
+     * @return {void}
+     */
+    openNoteEditor(id) {
+        const annotation = this.annotations.get(id);
+        if (!this.noteEditor || !annotation) return;
+        
+        const textarea = this.noteEditor.querySelector('textarea');
+        
+        this.editingAnnotation = id;
+        this.noteEditor.hidden = false;
+        
+        if (textarea) {
+            textarea.value = annotation.note || '';
+            textarea.focus();
+        }
+    }
+    
+    /**
+     * Close the note editor without saving.
+     * 
+     * @return {void}
+     */
+    closeNoteEditor() {
+        if (!this.noteEditor || this.editingAnnotation === null) return;
+        
+        const element = this.annotationLayer && this.annotationLayer.getElement(this.editingAnnotation);
+        
+        this.noteEditor.hidden = true;
+        this.editingAnnotation = null;
+        
+        // Return focus to the annotation, or to the image when it was deleted
+        (element || this.imageElement).focus({ preventScroll: true });
+    }
+    
+    /**
+     * Save the note editor's text on its annotation.
+     * 
+     * @return {void}
+     */
+    saveNote() {
+        const id = this.editingAnnotation;
+        const textarea = this.noteEditor.querySelector('textarea');
+        const note = textarea ? textarea.value.trim() : '';
+        const annotation = this.annotations.get(id);
+        
+        if (annotation && (annotation.note || '') !== note) {
+            this.recordEdit();
+            this.updateAnnotation(id, { note });
+            this.emit('annotationchange', { annotations: this.getAnnotations() });
+        }
+        
+        this.closeNoteEditor();
+    }
+    
+    /**
+     * Delete the annotation that is open in the note editor.
+     * 
+     * @return {void}
+     */
+    deleteEditedAnnotation() {
+        const id = this.editingAnnotation;
+        
+        this.recordEdit();
+        this.removeAnnotation(id);
+        this.closeNoteEditor();
+        this.emit('annotationchange', { annotations: this.getAnnotations() });
+    }
+    
+    /**
+     * Remember the annotations before an edit so it can be undone.
+     * 
+     * Any edit clears the redo stack.
+     * 
+     * @return {void}
+     */
+    recordEdit() {
+        this.undoStack.push(this.getAnnotations());
+        this.redoStack = [];
+        this.updateEditButtons();
+    }
+    
+    /**
+     * Undo the last annotation edit.
+     * 
+     * @return {void}
+     */
+    undo() {
+        if (this.undoStack.length === 0) return;
+        
+        this.redoStack.push(this.getAnnotations());
+        this.restoreAnnotations(this.undoStack.pop());
+    }
+    
+    /**
+     * Redo the last undone annotation edit.
+     * 
+     * @return {void}
+     */
+    redo() {
+        if (this.redoStack.length === 0) return;
+        
+        this.undoStack.push(this.getAnnotations());
+        this.restoreAnnotations(this.redoStack.pop());
+    }
+    
+    /**
+     * Replace all annotations with a snapshot from the undo history.
+     * 
+     * @param {Array<Object>} annotations - Annotations as returned by getAnnotations()
+     * @return {void}
+     */
+    restoreAnnotations(annotations) {
+        this.closeNoteEditor();
+        [...this.annotations.keys()].forEach((id) => this.removeAnnotation(id));
+        annotations.forEach((annotation) => this.addAnnotation(annotation));
+        
+        this.updateEditButtons();
+        this.emit('annotationchange', { annotations: this.getAnnotations() });
+    }
+    
+    /**
+     * Update visibility and state of the undo and redo buttons.
+     * 
+     * @return {void}
+     */
+    updateEditButtons() {
+        [[this.undoBtn, this.undoStack], [this.redoBtn, this.redoStack]].forEach(([button, stack]) => {
+            if (!button) return;
+            button.hidden = !this.isEditing;
+            button.disabled = stack.length === 0;
+        });
+    }
+    
+    /**
+     * Export all annotations as W3C Web Annotations.
+     * 
+     * Every annotation targets the image with a media fragment selector
+     * in natural pixels (xywh=pixel:x,y,w,h; pins have no size), polygons
+     * use an SVG selector. Notes become commenting bodies and labels
+     * tagging bodies.
+     * 
+     * @return {string} JSON array of Web Annotations
+     */
+    exportAnnotations() {
+        const { width: imgWidth, height: imgHeight } = this.getImageSize();
+        const source = new URL(this.getSourceUrl(), document.baseURI).href;
+        const round = (value) => Math.round(value * 100) / 100;
+        
+        const items = this.getAnnotations().map((annotation) => {
+            const points = this.getAnnotationPoints(annotation).map(([x, y]) => [round(x * imgWidth), round(y * imgHeight)]);
+            const body = [];
+            let selector;
+            
+            if (annotation.type === 'polygon') {
+                selector = {
+                    type: 'SvgSelector',
+                    value: `<svg xmlns="http://www.w3.org/2000/svg"><polygon points="${points.map((point) => point.join(',')).join(' ')}"/></svg>`
+                };
+            } else {
+                const [[x, y], , corner = points[0]] = points;
+                selector = {
+                    type: 'FragmentSelector',
+                    conformsTo: 'http://www.w3.org/TR/media-frags/',
+                    value: `xywh=pixel:${x},${y},${round(corner[0] - x)},${round(corner[1] - y)}`
+                };
+            }
+            
+            if (annotation.note) {
+                body.push({ type: 'TextualBody', value: annotation.note, purpose: 'commenting' });
+            }
+            if (annotation.label) {
+                body.push({ type: 'TextualBody', value: annotation.label, purpose: 'tagging' });
+            }
+            
+            return {
+                '@context': 'http://www.w3.org/ns/anno.jsonld',
+                id: `#${annotation.id}`,
+                type: 'Annotation',
+                body,
+                target: { source, selector }
+            };
+        });
+        
+        return JSON.stringify(items, null, 2);
+    }
+    
+    /**
+     * Replace all annotations with imported ones.
+     * 
+     * Accepts what exportAnnotations() produces: Web Annotations with
+     * media fragment (pixel or percent) or SVG polygon selectors, as an
+     * array, a single annotation or an annotation page. Plain annotation
+     * objects as taken by addAnnotation() are accepted as well. The
+     * import can be undone.
+     * 
+     * @param {string|Object|Array} json - JSON text or parsed data
+     * @return {void}
+     */
+    importAnnotations(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const items = Array.isArray(data) ? data : data.items || (data.first && data.first.items) || [data];
+        const annotations = items.map((item) => this.parseWebAnnotation(item)).filter(Boolean);
+        
+        this.recordEdit();
+        this.restoreAnnotations(annotations);
+    }
+    
+    /**
+     * Convert a W3C Web Annotation to an annotation for addAnnotation().
+     * 
+     * @param {Object} item - Web Annotation, or a plain annotation which is returned as is
+     * @return {Object|null} Annotation, null when the selector isn't supported
+     */
+    parseWebAnnotation(item) {
+        if (item.type !== 'Annotation') {
+            return item;
+        }
+        
+        const target = Array.isArray(item.target) ? item.target[0] : item.target;
+        const selector = target && (Array.isArray(target.selector) ? target.selector[0] : target.selector);
+        const bodies = [].concat(item.body || []);
+        const textFor = (purpose) => {
+            const body = bodies.find((candidate) => candidate.purpose === purpose);
+            return body ? body.value : undefined;
+        };
+        
+        const annotation = {
+            id: item.id ? String(item.id).replace(/^#/, '') : undefined,
+            note: textFor('commenting'),
+            label: textFor('tagging')
+        };
+        
+        if (selector && selector.type === 'FragmentSelector') {
+            const match = /xywh=(?:(pixel|percent):)?([\d.]+),([\d.]+),([\d.]+),([\d.]+)/.exec(selector.value);
+            if (!match) return null;
+            
+            const [x, y, width, height] = match.slice(2).map(Number);
+            const isPercent = match[1] === 'percent';
+            const scale = isPercent ? 0.01 : 1;
+            
+            Object.assign(annotation, { type: 'marker', x: x * scale, y: y * scale });
+            if (!isPercent) annotation.units = 'pixels';
+            if (width > 0 || height > 0) {
+                Object.assign(annotation, { type: 'rect', width: width * scale, height: height * scale });
+            }
+            return annotation;
+        }
+        
+        if (selector && selector.type === 'SvgSelector') {
+            const match = /points="([^"]+)"/.exec(selector.value);
+            if (!match) return null;
+            
+            annotation.type = 'polygon';
+            annotation.units = 'pixels';
+            annotation.points = match[1].trim().split(/\s+/).map((point) => point.split(',').map(Number));
+            return annotation;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get the URL of the full-resolution image, the target of exported annotations.
+     * 
+     * @return {string} Image or tile source URL
+     */
+    getSourceUrl() {
+        if (typeof this.options.tileSource === 'string') {
+            return this.options.tileSource;
+        }
+        if (this.sources.length > 0) {
+            return this.sources[this.sources.length - 1].src;
+        }
+        
+        return this.imageElement.getAttribute('src');
+    }
+    
+    /**
+     * Render the image as it is shown to an image file.
+     * 
+     * Draws the visible region, or the whole image, at natural
+     * resolution with the current rotation and mirroring and the
+     * annotations on top, scaled down only where the canvas would
+     * exceed maxExportArea. Deep zoom images are put together from the
+     * tiles of the matching level. Images from another origin need CORS
+     * headers and a crossorigin attribute, or the canvas can't be read.
+     * 
+     * @param {Object} [options] - Export options
+     * @param {string} [options.region='visible'] - 'visible' for what is on screen, 'full' for the whole image
+     * @param {string} [options.type] - 'image/png', 'image/jpeg' or 'image/webp', defaults to exportType
+     * @param {number} [options.quality] - JPEG and WebP quality (0-1), defaults to exportQuality
+     * @param {boolean} [options.annotations=true] - Draw the annotations
+     * @param {string|null} [options.background=null] - Fill color behind the image, e.g. '#fff' for JPEG
+     * @return {Promise<Blob>} The image file
+     */
+    async exportImage(options = {}) {
+        const {
+            region = 'visible',
+            type = this.options.exportType,
+            quality = this.options.exportQuality,
+            annotations = true,
+            background = null
+        } = options;
+        
+        if (this.loadState !== 'loaded') {
+            throw new Error('Cannot export an image that has not loaded');
+        }
+        
+        // Area to export in image pixels, but screen aligned: centered on
+        // the image, after rotation and mirroring
+        const rotated = this.getRotatedSize();
+        const area = {
+            left: -rotated.width / 2,
+            top: -rotated.height / 2,
+            right: rotated.width / 2,
+            bottom: rotated.height / 2
+        };
+        
+        if (region === 'visible') {
+            const rect = this.getViewportRect();
+            area.left = Math.max(area.left, (-rect.width / 2 - this.translateX) / this.currentZoom);
+            area.top = Math.max(area.top, (-rect.height / 2 - this.translateY) / this.currentZoom);
+            area.right = Math.min(area.right, (rect.width / 2 - this.translateX) / this.currentZoom);
+            area.bottom = Math.min(area.bottom, (rect.height / 2 - this.translateY) / this.currentZoom);
+        }
+        
+        const width = area.right - area.left;
+        const height = area.bottom - area.top;
+        
+        if (width <= 0 || height <= 0) {
+            throw new Error('No part of the image is visible');
+        }
+        
+        const scale = Math.min(1, Math.sqrt(this.options.maxExportArea / (width * height)));
+        const pieces = await this.loadExportImages(region, scale);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        
+        const context = canvas.getContext('2d');
+        
+        if (background) {
+            context.fillStyle = background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        
+        context.setTransform(scale, 0, 0, scale, -area.left * scale, -area.top * scale);
+        context.save();
+        context.rotate(this.rotation * Math.PI / 180);
+        context.scale(this.flipX ? -1 : 1, this.flipY ? -1 : 1);
+        
+        const imageSize = this.getImageSize();
+        pieces.forEach((piece) => {
+            context.drawImage(piece.image, piece.x - imageSize.width / 2, piece.y - imageSize.height / 2, piece.width, piece.height);
+        });
+        context.restore();
+        
+        if (annotations) {
+            this.drawAnnotations(context);
+        }
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                blob ? resolve(blob) : reject(new Error(`Could not encode the image as ${type}`));
+            }, type, quality);
+        });
+    }
+    
+    /**
+     * Load the images an export is drawn from.
+     * 
+     * That is the full-resolution source of a plain image, reusing the
+     * image element when it already shows it, or for deep zoom the
+     * tiles covering the region at the coarsest level that is sharp
+     * at the export scale.
+     * 
+     * @param {string} region - 'visible' or 'full', see exportImage()
+     * @param {number} scale - Export pixels per natural image pixel
+     * @return {Promise<Array<Object>>} Images and where they go in natural pixels: [{image, x, y, width, height}]
+     */
+    loadExportImages(region, scale) {
+        const { width, height } = this.getImageSize();
+        
+        if (!this.tileSource) {
+            const src = new URL(this.getSourceUrl(), document.baseURI).href;
+            const shown = this.imageElement.complete && this.imageElement.currentSrc === src;
+            const ready = shown ? Promise.resolve(this.imageElement) : this.loadImage(src);
+            
+            return ready.then((image) => [{ image, x: 0, y: 0, width, height }]);
+        }
+        
+        const levels = this.tileSource.levels;
+        const level = levels.find((entry) => entry.scale >= scale) || levels[levels.length - 1];
+        const bounds = region === 'visible' ? this.getVisibleRegion() : { x: 0, y: 0, width, height };
+        
+        return Promise.all(this.tileSource.getTilesInRegion(level, bounds).map(({ column, row }) => {
+            const tile = this.tileSource.getTile(level, column, row);
+            return this.loadImage(tile.url).then((image) => ({ ...tile, image }));
+        }));
+    }
+    
+    /**
+     * Load an image for drawing on a canvas.
+     * 
+     * Uses the crossorigin setting of the viewer's image element.
+     * 
+     * @param {string} src - Image URL
+     * @return {Promise<HTMLImageElement>} The loaded image
+     */
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            
+            if (this.imageElement.crossOrigin !== null) {
+                image.crossOrigin = this.imageElement.crossOrigin;
+            }
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Could not load ${src}`));
+            image.src = src;
+        });
+    }
+    
+    /**
+     * Draw the annotations onto an export canvas.
+     * 
+     * The context must map screen aligned image pixels centered on
+     * the image, see exportImage(). Colors and line widths are taken
+     * from the annotation elements, so the export looks like the
+     * screen; markers keep their size relative to the current view.
+     * 
+     * @param {CanvasRenderingContext2D} context - Context of the export canvas
+     * @return {void}
+     */
+    drawAnnotations(context) {
+        const pixel = 1 / this.currentZoom;
+        
+        this.annotations.forEach((annotation) => {
+            const element = this.annotationLayer && this.annotationLayer.getElement(annotation.id);
+            if (!element) return;
+            
+            const style = getComputedStyle(element);
+            const points = this.getAnnotationPoints(annotation)
+                .map(([x, y]) => this.imagePercentToScreen(x, y, 1, 0, 0));
+            
+            context.beginPath();
+            
+            if (annotation.type === 'marker') {
+                const border = parseFloat(style.borderTopWidth) || 0;
+                const radius = (element.offsetWidth || parseFloat(style.width) || 0) / 2;
+                
+                context.arc(points[0].x, points[0].y, radius * pixel, 0, Math.PI * 2);
+                context.fillStyle = style.backgroundColor;
+                context.fill();
+                
+                if (border > 0) {
+                    context.beginPath();
+                    context.arc(points[0].x, points[0].y, Math.max(radius - border / 2, 0) * pixel, 0, Math.PI * 2);
+                    context.lineWidth = border * pixel;
+                    context.strokeStyle = style.borderTopColor;
+                    context.stroke();
+                }
+                return;
+            }
+            
+            points.forEach((point, index) => {
+                index === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y);
+            });
+            context.closePath();
+            
+            if (style.fill && style.fill !== 'none') {
+                context.fillStyle = style.fill;
+                context.fill();
+            }
+            if (style.stroke && style.stroke !== 'none') {
+                context.lineWidth = (parseFloat(style.strokeWidth) || 1) * pixel;
+                context.strokeStyle = style.stroke;
+                context.stroke();
+            }
+        });
+    }
+    
+    /**
+     * Save the image as it is shown as a file download.
+     * 
+     * @param {Object} [options] - Options of exportImage(), and filename
+     * @param {string} [options.filename] - Defaults to the source's name with the extension of the type
+     * @return {Promise<void>} Resolves once the download has started
+     */
+    downloadImage(options = {}) {
+        const type = options.type || this.options.exportType;
+        const extension = type.split('/').pop().replace('jpeg', 'jpg');
+        const filename = options.filename || `${this.getFileName().replace(/\.[^.]*$/, '')}.${extension}`;
+        
+        return this.exportImage({ ...options, type }).then((blob) => {
+            const url = URL.createObjectURL(blob);
+            this.saveFile(url, filename);
+            
+            // Give the browser a moment to pick up the download
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        });
+    }
+    
+    /**
+     * Download the original image file.
+     * 
+     * Browsers ignore the file name for files from another origin
+     * and open them in a new tab instead. Deep zoom images have no
+     * single file, so nothing happens for them.
+     * 
+     * @return {void}
+     */
+    downloadOriginal() {
+        if (this.options.tileSource) return;
+        
+        this.saveFile(new URL(this.getSourceUrl(), document.baseURI).href, this.getFileName());
+    }
+    
+    /**
+     * Get the file name of the image source.
+     * 
+     * @return {string} Last part of the source URL's path, or 'image'
+     */
+    getFileName() {
+        const path = new URL(this.getSourceUrl(), document.baseURI).pathname;
+        
+        return decodeURIComponent(path.split('/').pop()) || 'image';
+    }
+    
+    /**
+     * Start a download through a temporary link.
+     * 
+     * @param {string} href - URL of the file
+     * @param {string} filename - Suggested file name
+     * @return {void}
+     */
+    saveFile(href, filename) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.download = filename;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.hidden = true;
+        
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+    
+    /**
+     * Make a change that may resize the viewport without moving the view.
+     * 
+     * When the viewport size changes the image is refitted, keeping its
+     * zoom relative to the fit and the same image point centered.
+     * 
+     * @param {Function} change - Callback making the change
+     * @return {void}
+     */
+    preserveView(change) {
+        const before = this.getViewportSize();
+        const rect = this.getViewportRect();
+        const center = this.screenToImagePercent(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        const relativeZoom = this.currentZoom / this.initialScale;
+        
+        change();
+        
+        const after = this.getViewportSize();
+        if (this.loadState !== 'loaded' || (after.width === before.width && after.height === before.height)) {
+            this.updateTransform();
+            return;
+        }
+        
+        this.cancelAnimation();
+        this.calculateInitialScale();
+        
+        // Nothing to keep while the container had no size, like a launcher before it opened
+        if (before.width === 0 || before.height === 0) {
+            this.updateTransform();
+            this.updateButtons();
+            return;
+        }
+        
+        this.currentZoom = Math.min(Math.max(this.initialScale * relativeZoom, this.minZoom), this.maxZoom);
+        this.centerOn(center.x, center.y);
+    }
+    
+    /**
+     * Show a second image to compare with, or stop comparing.
+     * 
+     * The second image shares the view of the first: zooming, panning
+     * and rotating always move both. It is stretched to the first
+     * image's natural size, so images of different resolutions line up
+     * by image percentage.
+     * 
+     * @param {string|Object|null} compare - Image URL or {src, alt}, null to stop comparing
+     * @return {void}
+     */
+    setCompare(compare) {
+        this.preserveView(() => {
+            if (this.compareLayer) {
+                this.compareLayer.destroy();
+                this.compareLayer = null;
+            }
+            
+            if (compare) {
+                const { src, alt = '' } = typeof compare === 'string' ? { src: compare } : compare;
+                this.compareLayer = new CompareLayer(this, src, alt);
+                this.compareLayer.setDivider(this.compareDivider);
+            }
+            
+            if (this.compareModeBtn) {
+                this.compareModeBtn.hidden = !this.compareLayer;
+            }
+            this.setCompareMode(this.compareMode);
+        });
+    }
+    
+    /**
+     * Switch between side-by-side panes and a swipe divider.
+     * 
+     * @param {string} mode - 'split' or 'swipe'
+     * @return {void}
+     */
+    setCompareMode(mode) {
+        const previousMode = this.compareMode;
+        
+        this.preserveView(() => {
+            this.compareMode = mode;
+            this.container.classList.toggle('is-compare-split', this.isSplitView());
+            
+            if (this.compareModeBtn) {
+                this.compareModeBtn.setAttribute('aria-pressed', mode === 'split');
+            }
+            if (this.compareLayer) {
+                this.compareLayer.setMode(mode);
+            }
+        });
+        
+        if (this.compareLayer && mode !== previousMode) {
+            this.announceOrientation(this.t(mode === 'split' ? 'compareSplit' : 'compareSwipe'));
+        }
+    }
+    
+    /**
+     * Move the swipe divider.
+     * 
+     * @param {number} position - Divider position, 0 (left edge) to 1 (right edge)
+     * @return {void}
+     */
+    setCompareDivider(position) {
+        this.compareDivider = Math.min(Math.max(position, 0), 1);
+        
+        if (this.compareLayer) {
+            this.compareLayer.setDivider(this.compareDivider);
+        }
+    }
+    
+    /**
+     * Check whether the images are shown in split compare panes.
+     * 
+     * @return {boolean} Whether split compare mode is active
+     */
+    isSplitView() {
+        return Boolean(this.compareLayer) && this.compareMode === 'split';
+    }
+    
+    /**
+     * Rotate to the next right angle clockwise.
+     * 
+     * @return {void}
+     */
+    rotateRight() {
+        const from = this.animationTarget || this;
+        this.rotateTo(Math.floor(from.rotation / 90 + 1) * 90, { animate: true });
+    }
+    
+    /**
+     * Rotate to the next right angle counterclockwise.
+     * 
+     * @return {void}
+     */
+    rotateLeft() {
+        const from = this.animationTarget || this;
+        this.rotateTo(Math.ceil(from.rotation / 90 - 1) * 90, { animate: true });
+    }
+    
+    /**
+     * Rotate the image around the center of the container.
+     * 
+     * The zoom limits are recalculated for the rotated bounding box, and
+     * the zoom is kept relative to the initial scale so a fitted image
+     * stays fitted. The point in the center stays in the center.
+     * 
+     * @param {number} rotation - Rotation in degrees, clockwise
+     * @param {Object} [options] - Animation options, see zoomTo()
+     * @return {void}
+     */
+    rotateTo(rotation, options = {}) {
+        const from = this.animationTarget || this.getView();
+        const relativeZoom = from.zoom / this.initialScale;
+        
+        this.updateZoomLimits(rotation);
+        
+        const zoom = Math.min(Math.max(relativeZoom * this.initialScale, this.minZoom), this.maxZoom);
+        const angle = (rotation - from.rotation) * Math.PI / 180;
+        const scale = zoom / from.zoom;
+        
+        // Rotate and scale the translation along with the image
+        const view = {
+            zoom,
+            translateX: (from.translateX * Math.cos(angle) - from.translateY * Math.sin(angle)) * scale,
+            translateY: (from.translateX * Math.sin(angle) + from.translateY * Math.cos(angle)) * scale,
+            rotation
+        };
+        
+        options.animate ? this.animateTo(view, options) : this.setView(view);
+        this.announceOrientation(this.t('rotated', { degrees: ((rotation % 360) + 360) % 360 }));
+    }
+    
+    /**
+     * Settle a two-finger rotation once the fingers are lifted.
+     * 
+     * Snaps to the nearest right angle when within rotationSnap degrees
+     * of it, recalculates the zoom limits and brings the view back
+     * within them.
+     * 
+     * @return {void}
+     */
+    finishPinchRotation() {
+        this.pinchRotated = false;
+        
+        const nearest = Math.round(this.rotation / 90) * 90;
+        const rotation = Math.abs(this.rotation - nearest) <= this.options.rotationSnap ? nearest : this.rotation;
+        
+        this.updateZoomLimits(rotation);
+        this.animateTo({
+            zoom: Math.min(Math.max(this.currentZoom, this.minZoom), this.maxZoom),
+            translateX: this.translateX,
+            translateY: this.translateY,
+            rotation
+        });
+        this.announceOrientation(this.t('rotated', { degrees: Math.round(((rotation % 360) + 360) % 360) }));
+    }
+    
+    /**
+     * Mirror the image horizontally as seen on screen.
+     * 
+     * Mirroring happens before rotation, so a screen mirror flips the
+     * image's own axis and reverses the rotation.
+     * 
+     * @return {void}
+     */
+    flipHorizontal() {
+        this.cancelAnimation();
+        
+        this.flipX = !this.flipX;
+        this.rotation = -this.rotation;
+        this.translateX = -this.translateX;
+        
+        this.updateTransform();
+        this.announceOrientation(this.t('flippedHorizontally'));
+    }
+    
+    /**
+     * Mirror the image vertically as seen on screen.
+     * 
+     * @return {void}
+     */
+    flipVertical() {
+        this.cancelAnimation();
+        
+        this.flipY = !this.flipY;
+        this.rotation = -this.rotation;
+        this.translateY = -this.translateY;
+        
+        this.updateTransform();
+        this.announceOrientation(this.t('flippedVertically'));
+    }
+    
+    /**
+     * Check whether the browser already rotates images by their EXIF data.
+     * 
+     * @return {boolean} True if image-orientation applies to the image
+     */
+    browserAppliesExifOrientation() {
+        return window.CSS !== undefined
+            && CSS.supports('image-orientation', 'from-image')
+            && getComputedStyle(this.imageElement).imageOrientation !== 'none';
+    }
+    
+    /**
+     * Read the EXIF orientation of the image and apply it.
+     * 
+     * Only the start of the file is requested, the orientation tag lives
+     * in the first APP1 segment of a JPEG. Anything that goes wrong
+     * leaves the image as it is.
+     * 
+     * @return {void}
+     */
+    loadExifOrientation() {
+        const src = this.imageElement.getAttribute('src');
+        
+        fetch(src, { headers: { Range: 'bytes=0-65535' } })
+            .then((response) => response.arrayBuffer())
+            .then((buffer) => {
+                // The viewer may have moved on while the file was loading
+                if (!this.isMounted || this.imageElement.getAttribute('src') !== src) return;
+                
+                const orientation = FullscreenImageZoom.exifOrientations[FullscreenImageZoom.parseExifOrientation(buffer)];
+                if (orientation) {
+                    this.applyOrientation(orientation);
+                }
+            })
+            .catch(() => {});
+    }
+    
+    /**
+     * Make an orientation the image's default and show it fitted.
+     * 
+     * @param {Object} orientation - {rotation, flipX, flipY}
+     * @return {void}
+     */
+    applyOrientation(orientation) {
+        this.cancelAnimation();
+        
+        this.orientation = { ...orientation };
+        this.rotation = orientation.rotation;
+        this.flipX = orientation.flipX;
+        this.flipY = orientation.flipY;
+        this.translateX = 0;
+        this.translateY = 0;
+        
+        this.calculateInitialScale();
+        this.updateTransform();
+        this.updateButtons();
+    }
+    
+    /**
+     * Find the orientation tag in the EXIF data of a JPEG file.
+     * 
+     * @param {ArrayBuffer} buffer - Start of the file
+     * @return {number} EXIF orientation 1-8, 1 when missing
+     */
+    static parseExifOrientation(buffer) {
+        const view = new DataView(buffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+        
+        let offset = 2;
+        while (offset + 10 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00) break;
+            
+            // APP1 segment starting with 'Exif'
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+                const tiff = offset + 10;
+                const littleEndian = view.getUint16(tiff) === 0x4949;
+                const directory = tiff + view.getUint32(tiff + 4, littleEndian);
+                const entries = view.getUint16(directory, littleEndian);
+                
+                for (let i = 0; i < entries; i++) {
+                    const entry = directory + 2 + i * 12;
+                    if (view.getUint16(entry, littleEndian) === 0x0112) {
+                        return view.getUint16(entry + 8, littleEndian);
+                    }
+                }
+                return 1;
+            }
+            
+            offset += 2 + view.getUint16(offset + 2);
+        }
+        
+        return 1;
+    }
+    
+    /**
+     * Reset zoom and position to initial state.
+     * 
+     * Animates the image back to its initial scale, centered position and
+     * default orientation, effectively returning to the default view state.
+     * The shortest way round is taken back to the default rotation. A
+     * mirrored image can't be tweened back, so it returns all at once. The
+     * 'reset' event is emitted as the reset starts, so it is not lost
+     * when a gesture interrupts the animation; its target carries the
+     * view being animated to.
+     * 
+     * @return {void}
+     */
+    reset() {
+        const { rotation, flipX, flipY } = this.orientation;
+        const from = this.animationTarget || this;
+        const turns = Math.round((from.rotation - rotation) / 360);
+        const isMirrored = this.flipX !== flipX || this.flipY !== flipY;
+        
+        this.flipX = flipX;
+        this.flipY = flipY;
+        this.updateZoomLimits(rotation);
+        
+        const view = {
+            zoom: this.initialScale,
+            translateX: 0,
+            translateY: 0,
+            rotation: rotation + turns * 360
+        };
+        
+        this.emit('reset', { target: view });
+        isMirrored ? this.setView(view) : this.animateTo(view);
+        this.announceZoom();
+    }
+    
+    /**
+     * Close the fullscreen image viewer.
+     * 
+     * Dispatches a cancelable 'close' event first. Embedders that show
+     * the viewer in a modal or a tab they opened themselves can call
+     * preventDefault() and handle closing on their own. A launcher hides
+     * its overlay with dismiss(); otherwise this falls back to closing
+     * the current window/tab.
+     * 
+     * @return {void}
+     */
+    close() {
+        if (!this.emit('close', {}, true)) {
+            return;
+        }
+        
+        if (this.options.launcher) {
+            this.dismiss();
+            return;
+        }
+        
+        // This closes the fullscreen view.
+        window.close();
+    }
+    
+    /**
+     * Open the launcher overlay, optionally from a thumbnail.
+     * 
+     * Shows the viewer as a modal overlay, requests fullscreen for it
+     * and grows the image out of the thumbnail's rect. The trigger is
+     * usually a link around a thumbnail: its data-zoom-src or href is
+     * the image to show and the thumbnail's alt text its description.
+     * In a gallery the image is picked by data-zoom-index or its src,
+     * a src that is not in the gallery leaves the current image.
+     * Must be called from a user gesture for fullscreen to be granted.
+     * 
+     * @param {Object} [options] - {trigger, src, alt, index}, explicit values win over the trigger's
+     * @return {void}
+     */
+    open(options = {}) {
+        if (this.isOpen) return;
+        
+        const trigger = options.trigger || null;
+        const thumbnail = trigger ? trigger.querySelector('img') || trigger : null;
+        const src = options.src || (trigger && (trigger.getAttribute('data-zoom-src') || trigger.getAttribute('href')));
+        const alt = options.alt !== undefined ? options.alt : thumbnail && thumbnail.getAttribute('alt');
+        const dataIndex = trigger ? trigger.getAttribute('data-zoom-index') : null;
+        const index = options.index !== undefined ? options.index
+            : dataIndex !== null ? Number(dataIndex)
+            : this.images.findIndex((image) => image.src === src);
+        const from = thumbnail ? thumbnail.getBoundingClientRect() : null;
+        
+        this.openState = {
+            focus: document.activeElement,
+            scrollX: window.scrollX,
+            scrollY: window.scrollY
+        };
+        this.isOpen = true;
+        this.root.hidden = false;
+        document.documentElement.classList.add('image-zoom-open');
+        this.handleResize();
+        
+        if (this.isGallery()) {
+            // The configured gallery stays, sources that aren't in it are ignored
+            if (index !== -1) {
+                this.showImage(index);
+            }
+        } else if (src) {
+            // A single-image launcher shows whatever its trigger points at
+            this.images = [{ src, alt: alt || '' }];
+            this.showImage(0);
+        }
+        
+        this.imageElement.focus({ preventScroll: true });
+        this.emit('open', { trigger });
+        
+        const fullscreen = this.options.fullscreen ? this.enterFullscreen() : Promise.resolve();
+        
+        // Start the transition once the fullscreen resize has settled
+        fullscreen.then(() => {
+            if (!this.isOpen || !from || from.width === 0) return;
+            
+            this.handleResize();
+            this.openTransitionFrom = from;
+            if (this.loadState === 'loaded') {
+                this.playOpenTransition();
+            }
+        });
+    }
+    
+    /**
+     * Hide the launcher overlay and give the page back.
+     * 
+     * Leaves fullscreen and restores the scroll position and the focus
+     * from before open(). Unlike close() this can't be canceled.
+     * 
+     * @return {void}
+     */
+    dismiss() {
+        if (!this.isOpen) return;
+        
+        const { focus, scrollX, scrollY } = this.openState;
+        
+        this.isOpen = false;
+        this.openState = null;
+        this.openTransitionFrom = null;
+        
+        if (this.isFullscreen) {
+            // Cleared first, so the fullscreenchange it causes isn't taken for a user exit
+            this.isFullscreen = false;
+            if (document.fullscreenElement === this.root) {
+                document.exitFullscreen().catch(() => {});
+            }
+        }
+        
+        this.root.hidden = true;
+        document.documentElement.classList.remove('image-zoom-open');
+        window.scrollTo(scrollX, scrollY);
+        
+        if (focus && focus.focus) {
+            focus.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Request fullscreen for the viewer root.
+     * 
+     * Browsers without element fullscreen (iPhone Safari) or that refuse
+     * the request simply keep showing the overlay in the page.
+     * 
+     * @return {Promise} Settles once fullscreen was entered or refused
+     */
+    enterFullscreen() {
+        if (!this.root.requestFullscreen) {
+            return Promise.resolve();
+        }
+        
+        return this.root.requestFullscreen({ navigationUI: 'hide' })
+            .then(() => {
+                this.isFullscreen = true;
+            })
+            .catch(() => {});
+    }
+    
+    /**
+     * Close the launcher when fullscreen is left with the browser's controls.
+     * 
+     * @return {void}
+     */
+    handleFullscreenChange() {
+        if (!this.isFullscreen || document.fullscreenElement === this.root) return;
+        
+        this.isFullscreen = false;
+        if (this.isOpen) {
+            this.close();
+        }
+    }
+    
+    /**
+     * Grow the image out of the thumbnail it was opened from.
+     * 
+     * Plays once after open(), when the image has loaded. The image is
+     * animated from the thumbnail's rect to its fitted view with the Web
+     * Animations API, on top of the transform updateTransform() sets, so
+     * the view itself is ready from the start.
+     * 
+     * @return {void}
+     */
+    playOpenTransition() {
+        const from = this.openTransitionFrom;
+        if (!from) return;
+        
+        this.openTransitionFrom = null;
+        
+        const element = this.tileLayer ? this.tileLayer.element : this.imageElement;
+        if (!element.animate || this.prefersReducedMotion() || this.options.animationDuration === 0) return;
+        
+        const rect = this.getViewportRect();
+        const { width, height } = this.getRotatedSize(this.rotation);
+        const scale = Math.min(from.width / width, from.height / height);
+        const transform = element.style.transform;
+        
+        // The same view, scaled and moved onto the thumbnail
+        const fromTransform = [
+            `translate(${from.left + from.width / 2 - rect.left - rect.width / 2 - this.translateX}px,`,
+            `${from.top + from.height / 2 - rect.top - rect.height / 2 - this.translateY}px)`,
+            transform.replace(/scale\(([^,]+), ([^)]+)\)/, (match, x, y) => {
+                const factor = scale / this.currentZoom;
+                return `scale(${x * factor}, ${y * factor})`;
+            })
+        ].join(' ');
+        const duration = this.options.animationDuration * 1.5;
+        
+        element.animate([{ transform: fromTransform }, { transform }], { duration, easing: 'ease-out' });
+        this.container.animate([{ backgroundColor: 'rgba(0, 0, 0, 0)' }, { backgroundColor: 'rgb(0, 0, 0)' }], { duration });
+    }
+      
+    /**
+     * Calculate the allowed translation bounds based on current zoom level.
+     * 
+     * Determines the maximum and minimum translation values that will keep
+     * at least some part of the image visible within the viewport. For zoom
+     * levels below initial scale, constrains to center. For higher zoom levels,
+     * allows panning but prevents image from going completely out of bounds.
+     * 
+     * A rotated image is bounded by its bounding box.
+     * 
+     * @param {number} [zoom] - Zoom level to calculate for, defaults to the current zoom
+     * @param {number} [rotation] - Rotation in degrees, defaults to the current rotation
+     * @return {Object} Bounds object: {minX, maxX, minY, maxY}
+     */    
+    calculateBounds(zoom = this.currentZoom, rotation = this.rotation) {
+        // Get container dimensions
+        const { width: containerWidth, height: containerHeight } = this.getViewportSize();
+        
+        // Get scaled image dimensions as they appear on screen
+        const imageSize = this.getRotatedSize(rotation);
+        const scaledWidth = imageSize.width * zoom;
+        const scaledHeight = imageSize.height * zoom;
+        
+        let minX, maxX, minY, maxY;
+        
+        // Always calculate bounds based on whether the scaled image is larger than the container
+        // not based on zoom level relative to initial scale
+        
+        // Ensure at least 100px of image remains visible on each side when panning is allowed
+        const minVisibleArea = 100;
+        
+        // Calculate bounds for X axis
+        if (scaledWidth <= containerWidth) {
+            // Image is smaller than or equal to container width - center it
+            minX = maxX = 0;
+        } else {
+            // Image is larger than container - allow panning but keep some visible
+            const halfScaledWidth = scaledWidth / 2;
+            const halfContainerWidth = containerWidth / 2;
+            const maxDistanceX = halfScaledWidth - halfContainerWidth;
+            const constrainedMaxX = Math.max(maxDistanceX - minVisibleArea, 0);
+            
+            minX = -constrainedMaxX;
+            maxX = constrainedMaxX;
+        }
+        
+        // Calculate bounds for Y axis
+        if (scaledHeight <= containerHeight) {
+            // Image is smaller than or equal to container height - center it
+            minY = maxY = 0;
+        } else {
+            // Image is larger than container - allow panning but keep some visible
+            const halfScaledHeight = scaledHeight / 2;
+            const halfContainerHeight = containerHeight / 2;
+            const maxDistanceY = halfScaledHeight - halfContainerHeight;
+            const constrainedMaxY = Math.max(maxDistanceY - minVisibleArea, 0);
+            
+            minY = -constrainedMaxY;
+            maxY = constrainedMaxY;
+        }
+        
+        return { minX, maxX, minY, maxY };
+    }
+    
+    /**
+     * Constrain translation values to stay within calculated bounds.
+     * 
+     * Applies bounds checking to current translateX and translateY values
+     * to ensure the image doesn't go completely out of view. Updates
+     * the instance translation properties with constrained values.
+     * 
+     * @return {void}
+     */
+    constrainTranslation() {
+        const bounds = this.calculateBounds();
+        
+        this.translateX = Math.max(bounds.minX, Math.min(bounds.maxX, this.translateX));
+        this.translateY = Math.max(bounds.minY, Math.min(bounds.maxY, this.translateY));
+    }
+    
+    /**
+     * Apply current zoom and translation to image element.
+     * 
+     * Updates the CSS transform property with current translation
+     * and scale values to visually update the image position.
+     * Applies bounds checking (except while dragging or animating)
+     * before updating transform and reports the resulting zoom/pan
+     * changes.
+     * 
+     * @return {void}
+     */
+    updateTransform() {
+        if (!this.isMounted) return;
+        
+        // Apply bounds checking to prevent image from going out of bounds.
+        // Pans rubber band on their own and animations head for constrained
+        // targets, so both are allowed to overscroll on the way.
+        if (!this.isDragging && this.animationFrame === null) {
+            this.constrainTranslation();
+        }
+        
+        const scaleX = this.currentZoom * (this.flipX ? -1 : 1);
+        const scaleY = this.currentZoom * (this.flipY ? -1 : 1);
+        const transform = `translate(${this.translateX}px, ${this.translateY}px) rotate(${this.rotation}deg) scale(${scaleX}, ${scaleY})`;
+        
+        // In split compare mode the image is centered in the left pane
+        const paneOffset = this.isSplitView() ? `translateX(${-this.getViewportRect().width / 2}px) ` : '';
+        this.imageElement.style.transform = paneOffset + transform;
+        
+        if (this.tileLayer) {
+            this.tileLayer.update(paneOffset + transform);
+        }
+        if (this.compareLayer) {
+            this.compareLayer.update(transform);
+        }
+        if (this.loupe) {
+            this.loupe.update();
+        }
+        if (this.annotationLayer && this.loadState === 'loaded') {
+            this.annotationLayer.update();
+        }
+        if (this.sources.length > 0 && this.loadState === 'loaded') {
+            this.updateImageSource();
+        }
+        
+        this.updateZoomIndicator();
+        this.emitViewChanges();
+    }
+    
+    /**
+     * Report zoom, pan and orientation changes since the last transform update.
+     * 
+     * Compares against the last reported view so every change is
+     * announced exactly once, no matter which interaction caused it.
+     * 
+     * @return {void}
+     */
+    emitViewChanges() {
+        const last = this.lastEmittedView;
+        const zoomChanged = last.zoom !== this.currentZoom;
+        const panChanged = last.translateX !== this.translateX || last.translateY !== this.translateY;
+        const orientationChanged = last.rotation !== this.rotation || last.flipX !== this.flipX || last.flipY !== this.flipY;
+        
+        this.lastEmittedView = {
+            zoom: this.currentZoom,
+            translateX: this.translateX,
+            translateY: this.translateY,
+            rotation: this.rotation,
+            flipX: this.flipX,
+            flipY: this.flipY
+        };
+        
+        if (zoomChanged) {
+            this.emit('zoomchange');
+        }
+        if (panChanged) {
+            this.emit('panchange');
+        }
+        if (orientationChanged) {
+            this.emit('orientationchange');
+        }
+        if (zoomChanged || panChanged || orientationChanged) {
+            this.scheduleDeepLinkUpdate();
+        }
+    }
+    
+    /**
+     * Read this viewer's deep link from the URL.
+     * 
+     * The link is one parameter named after the viewer's key, in the hash
+     * or the query string depending on the deepLink option, holding
+     * tagged values: i (gallery image id), z (zoom relative to natural
+     * size), x and y (center as image percentage), r (rotation) and h and
+     * v (1 or 0 for horizontal and vertical mirroring), e.g.
+     * #zoom=z1.5,x0.4213,y0.312.
+     * 
+     * @return {Object|null} Link: {image, zoom, x, y, rotation, flipX, flipY}, each optional; null when absent
+     */
+    readDeepLink() {
+        const url = new URL(window.location.href);
+        const value = this.getDeepLinkParams(url).get(this.deepLinkKey);
+        
+        if (!value) return null;
+        
+        const fields = { z: 'zoom', x: 'x', y: 'y', r: 'rotation' };
+        const flips = { h: 'flipX', v: 'flipY' };
+        const link = {};
+        
+        value.split(',').forEach((part) => {
+            const tag = part.charAt(0);
+            const content = part.slice(1);
+            
+            if (tag === 'i') {
+                link.image = decodeURIComponent(content);
+            } else if (flips[tag] && (content === '0' || content === '1')) {
+                link[flips[tag]] = content === '1';
+            } else if (fields[tag] && Number.isFinite(parseFloat(content))) {
+                link[fields[tag]] = parseFloat(content);
+            }
+        });
+        
+        return link;
+    }
+    
+    /**
+     * Build the URL for the current view.
+     * 
+     * The parameter is left out while the image is shown in its initial
+     * view, so the URL stays clean until the user zooms, pans or rotates.
+     * 
+     * @return {string} URL with this viewer's parameter updated
+     */
+    getDeepLinkUrl() {
+        const url = new URL(window.location.href);
+        const params = this.getDeepLinkParams(url);
+        const rotation = ((this.rotation % 360) + 360) % 360;
+        const isMirrored = this.flipX !== this.orientation.flipX || this.flipY !== this.orientation.flipY;
+        const isInitialView = this.currentZoom === this.initialScale && this.translateX === 0 && this.translateY === 0
+            && this.rotation === this.orientation.rotation && !isMirrored;
+        
+        if (isInitialView && !this.isGallery()) {
+            params.delete(this.deepLinkKey);
+        } else {
+            const rect = this.getViewportRect();
+            const center = this.screenToImagePercent(rect.left + rect.width / 2, rect.top + rect.height / 2);
+            const parts = [];
+            
+            if (this.isGallery()) {
+                parts.push(`i${encodeURIComponent(this.getImageId(this.currentIndex))}`);
+            }
+            if (!isInitialView) {
+                parts.push(`z${+this.currentZoom.toFixed(4)}`, `x${+center.x.toFixed(4)}`, `y${+center.y.toFixed(4)}`);
+                
+                if (rotation !== 0) {
+                    parts.push(`r${+rotation.toFixed(2)}`);
+                }
+                if (isMirrored) {
+                    parts.push(`h${+this.flipX}`, `v${+this.flipY}`);
+                }
+            }
+            params.set(this.deepLinkKey, parts.join(','));
+        }
+        
+        // Keep the separators readable, they are valid unescaped in both places
+        const serialized = params.toString().replace(/%2C/g, ',');
+        
+        if (this.usesDeepLinkQuery(url)) {
+            url.search = serialized;
+        } else {
+            url.hash = serialized;
+        }
+        
+        return url.href;
+    }
+    
+    /**
+     * Get the URL parameters the deep link is kept in.
+     * 
+     * @param {URL} url - Page URL
+     * @return {URLSearchParams} The query string's or the hash's parameters
+     */
+    getDeepLinkParams(url) {
+        return this.usesDeepLinkQuery(url) ? url.searchParams : new URLSearchParams(url.hash.slice(1));
+    }
+    
+    /**
+     * Check whether the deep link goes in the query string.
+     * 
+     * That is the case with deepLink set to 'query', and also when the
+     * hash is a plain in-page anchor like #section rather than
+     * key=value parameters, so the anchor keeps working.
+     * 
+     * @param {URL} url - Page URL
+     * @return {boolean} True for the query string, false for the hash
+     */
+    usesDeepLinkQuery(url) {
+        const hash = url.hash.slice(1);
+        
+        return this.options.deepLink === 'query' || (hash !== '' && !hash.includes('='));
+    }
+    
+    /**
+     * Get the name of this viewer's URL parameter.
+     * 
+     * Without a deepLinkKey option, data-image-zoom value or root id the
+     * key is 'zoom', numbered by the viewer's position on the page when
+     * there are several, so viewers never overwrite each other's link.
+     * 
+     * @return {string} Parameter name
+     */
+    getDeepLinkKey() {
+        const key = this.options.deepLinkKey || this.root.dataset.imageZoom || this.root.id;
+        if (key) return key;
+        
+        const viewers = [...document.querySelectorAll('[data-image-zoom]')];
+        const index = viewers.indexOf(this.root);
+        
+        return viewers.length > 1 && index > 0 ? `zoom${index + 1}` : 'zoom';
+    }
+    
+    /**
+     * Queue a URL update for the changed view.
+     * 
+     * Updates are throttled to one per deepLinkThrottle, so gestures and
+     * animations don't flood the history API. The first update after the
+     * view has been still for deepLinkHistoryDelay adds a history entry,
+     * later ones replace it, so back and forward step between views the
+     * user actually stopped at.
+     * 
+     * @return {void}
+     */
+    scheduleDeepLinkUpdate() {
+        if (!this.options.deepLink || this.isRestoringDeepLink || this.pendingDeepLink || this.loadState !== 'loaded') return;
+        
+        const now = performance.now();
+        if (this.lastViewChange !== null && now - this.lastViewChange > this.options.deepLinkHistoryDelay) {
+            this.deepLinkPush = true;
+        }
+        this.lastViewChange = now;
+        
+        if (this.deepLinkTimer !== null) return;
+        
+        this.deepLinkTimer = setTimeout(() => {
+            this.deepLinkTimer = null;
+            this.updateDeepLink();
+        }, this.options.deepLinkThrottle);
+    }
+    
+    /**
+     * Write the current view to the URL.
+     * 
+     * @return {void}
+     */
+    updateDeepLink() {
+        const url = this.getDeepLinkUrl();
+        const push = this.deepLinkPush;
+        
+        this.deepLinkPush = false;
+        if (url === window.location.href) return;
+        
+        if (push) {
+            history.pushState(history.state, '', url);
+        } else {
+            history.replaceState(history.state, '', url);
+        }
+    }
+    
+    /**
+     * Apply the deep link read at mount once the image has loaded.
+     * 
+     * A link for another gallery image than the one shown is dropped.
+     * 
+     * @return {void}
+     */
+    applyPendingDeepLink() {
+        const link = this.pendingDeepLink;
+        if (!link) return;
+        
+        this.pendingDeepLink = null;
+        
+        if (link.image === undefined || link.image === this.getImageId(this.currentIndex)) {
+            this.applyDeepLink(link);
+        }
+        
+        // Changes from here on are the user's, the linked view keeps its history entry
+        this.lastViewChange = performance.now();
+    }
+    
+    /**
+     * Show the view described by a deep link, without animation.
+     * 
+     * Zoom is clamped to the limits for this viewport, and the center is
+     * given in image percentages, so a link shows the same spot on any
+     * screen size. A link without a view shows the initial view.
+     * 
+     * @param {Object|null} link - Link from readDeepLink()
+     * @return {void}
+     */
+    applyDeepLink(link) {
+        const { rotation, flipX, flipY } = this.orientation;
+        const hasView = link && link.zoom !== undefined && link.x !== undefined && link.y !== undefined;
+        
+        this.isRestoringDeepLink = true;
+        this.cancelAnimation();
+        this.flipX = link && link.flipX !== undefined ? link.flipX : flipX;
+        this.flipY = link && link.flipY !== undefined ? link.flipY : flipY;
+        this.rotation = link && link.rotation !== undefined ? link.rotation : rotation;
+        this.calculateInitialScale();
+        
+        if (hasView) {
+            const zoom = Math.min(Math.max(link.zoom, this.minZoom), this.maxZoom);
+            const offset = this.imagePercentToScreen(link.x, link.y, zoom, 0, 0);
+            
+            this.setView({ zoom, translateX: -offset.x, translateY: -offset.y });
+        } else {
+            this.setView({ zoom: this.initialScale, translateX: 0, translateY: 0 });
+        }
+        
+        this.isRestoringDeepLink = false;
+    }
+    
+    /**
+     * Restore the view of a history entry on back/forward navigation.
+     * 
+     * @return {void}
+     */
+    handlePopState() {
+        const link = this.readDeepLink();
+        const index = link ? this.findImageIndex(link.image) : -1;
+        
+        // A pending URL update belongs to the entry that was left, and the
+        // next change starts a new entry instead of overwriting this one
+        clearTimeout(this.deepLinkTimer);
+        this.deepLinkTimer = null;
+        this.lastViewChange = -Infinity;
+        
+        if (index !== -1 && index !== this.currentIndex) {
+            this.pendingDeepLink = link;
+            this.goTo(index);
+            return;
+        }
+        
+        this.applyDeepLink(link);
+        this.updateButtons();
+    }
+    
+    /**
+     * Update zoom control button states.
+     * 
+     * Enables/disables zoom in and zoom out buttons based on
+     * current zoom level relative to min/max limits.
+     * 
+     * @return {void}
+     */    
+    updateButtons() {
+        if (!this.isMounted) return;
+        
+        if (this.zoomInBtn) {
+            this.zoomInBtn.disabled = this.currentZoom >= this.maxZoom;
+        }
+        if (this.zoomOutBtn) {
+            this.zoomOutBtn.disabled = this.currentZoom <= this.minZoom;
+        }
+    }
+    
+    /**
+     * Size the navigator and load its thumbnail for the current image.
+     * 
+     * The thumbnail is the thumbnailSrc option, the coarsest tile of a
+     * deep zoom pyramid, or else the image's own (preview) source.
+     * 
+     * @return {void}
+     */
+    setupNavigator() {
+        if (!this.zoomIndicator) return;
+        
+        const { width: imgWidth, height: imgHeight } = this.getImageSize();
+        const scale = this.getNavigatorScale();
+        
+        this.zoomIndicator.style.width = `${imgWidth * scale}px`;
+        this.zoomIndicator.style.height = `${imgHeight * scale}px`;
+        
+        if (this.navigatorThumbnail) {
+            const backdrop = this.tileSource && this.tileSource.getBackdropLevel();
+            const thumbnailSrc = this.options.thumbnailSrc
+                || (backdrop && this.tileSource.getTile(backdrop, 0, 0).url)
+                || this.imageElement.getAttribute('src');
+            
+            this.navigatorThumbnail.src = thumbnailSrc;
+        }
+    }
+    
+    /**
+     * Get the scale from natural image pixels to navigator pixels.
+     * 
+     * @return {number} Scale factor, the longest image edge maps to navigatorSize
+     */
+    getNavigatorScale() {
+        const { width: imgWidth, height: imgHeight } = this.getImageSize();
+        return this.options.navigatorSize / Math.max(imgWidth, imgHeight);
+    }
+    
+    /**
+     * Start moving the view from the navigator.
+     * 
+     * Centers the view on the pressed point, animated so a single click
+     * glides there, and captures the pointer for dragging.
+     * 
+     * @param {PointerEvent} e - Pointer down event
+     * @return {void}
+     */
+    handleNavigatorPointerDown(e) {
+        if (e.button !== 0 || this.navigatorPointer !== null) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        
+        this.zoomIndicator.setPointerCapture(e.pointerId);
+        this.navigatorPointer = e.pointerId;
+        
+        this.startGesture('navigate');
+        this.navigateTo(e.clientX, e.clientY, { animate: true });
+    }
+    
+    /**
+     * Follow a navigator drag, the view stays centered under the pointer.
+     * 
+     * @param {PointerEvent} e - Pointer move event
+     * @return {void}
+     */
+    handleNavigatorPointerMove(e) {
+        if (e.pointerId !== this.navigatorPointer) return;
+        
+        e.preventDefault();
+        this.navigateTo(e.clientX, e.clientY);
+    }
+    
+    /**
+     * End a navigator drag and announce where it ended.
+     * 
+     * @param {PointerEvent} e - Pointer up or cancel event
+     * @return {void}
+     */
+    handleNavigatorPointerUp(e) {
+        if (e.pointerId !== this.navigatorPointer) return;
+        
+        this.navigatorPointer = null;
+        this.endGesture();
+        
+        // A click may still be gliding to its target
+        if (this.animationTarget) {
+            const view = this.animationTarget;
+            this.animateTo(view, { onComplete: () => this.announceNavigator() });
+        } else {
+            this.announceNavigator();
+        }
+    }
+    
+    /**
+     * Center the view on a point of the navigator thumbnail.
+     * 
+     * @param {number} clientX - X coordinate in the viewport
+     * @param {number} clientY - Y coordinate in the viewport
+     * @param {Object} [options] - Animation options, see zoomTo()
+     * @return {void}
+     */
+    navigateTo(clientX, clientY, options = {}) {
+        const rect = this.zoomIndicator.getBoundingClientRect();
+        
+        this.centerOn(
+            (clientX - rect.left) / rect.width,
+            (clientY - rect.top) / rect.height,
+            options
+        );
+    }
+    
+    /**
+     * Move the navigator's viewport with the arrow keys.
+     * 
+     * Each press moves the visible region by a tenth of the image, along
+     * the axes of the thumbnail whatever the rotation. The keys are
+     * handled here so the main view's own arrow keys don't apply on top.
+     * 
+     * @param {KeyboardEvent} e - Keyboard event
+     * @return {void}
+     */
+    handleNavigatorKeyboard(e) {
+        const directions = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+        const direction = directions[e.key];
+        if (!direction) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const rect = this.getViewportRect();
+        const center = this.screenToImagePercent(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        
+        this.centerOn(center.x + direction[0] * 0.1, center.y + direction[1] * 0.1, {
+            animate: true,
+            onComplete: () => this.announceNavigator()
+        });
+    }
+    
+    /**
+     * Update the navigator in the zoom indicator.
+     * 
+     * The indicator is only shown when the image is cropped. It holds a
+     * thumbnail of the whole image with a rectangle marking the visible
+     * region, kept in sync on every transform update.
+     * 
+     * @return {void}
+     */
+    updateZoomIndicator() {
+        if (!this.zoomIndicator) return;
+        
+        // Get container and image dimensions
+        const { width: containerWidth, height: containerHeight } = this.getViewportSize();
+        const { width: imgWidth, height: imgHeight } = this.getRotatedSize();
+        
+        if (imgWidth === 0 || imgHeight === 0) return;
+        
+        // Calculate the scale needed to fit entire image in viewport
+        const scaleX = containerWidth / imgWidth;
+        const scaleY = containerHeight / imgHeight;
+        const fitToViewportScale = Math.min(scaleX, scaleY);
+        
+        // Show indicator only when image is cropped (zoom > fit scale)
+        const isCropped = this.currentZoom > fitToViewportScale;
+        
+        if (isCropped) {
+            this.zoomIndicator.classList.add('visible');
+        } else {
+            this.zoomIndicator.classList.remove('visible');
+            
+            // A hidden navigator can't keep focus, hand it back to the image
+            if (document.activeElement === this.zoomIndicator) {
+                this.imageElement.focus();
+            }
+        }
+        
+        if (!this.navigatorViewport) return;
+        
+        const scale = this.getNavigatorScale();
+        const region = this.getVisibleRegion();
+        
+        this.navigatorViewport.style.left = `${region.x * scale}px`;
+        this.navigatorViewport.style.top = `${region.y * scale}px`;
+        this.navigatorViewport.style.width = `${region.width * scale}px`;
+        this.navigatorViewport.style.height = `${region.height * scale}px`;
+    }
+
+    /**
+     * Announce zoom level changes for screen readers.
+     * 
+     * Converts current zoom to a percentage in announceZoomUnits,
+     * relative to the initial scale unless configured otherwise, and
+     * announces it for accessibility compliance.
+     * 
+     * @return {void}
+     */
+    announceZoom() {
+        if (!this.announcer) return;
+        // Announce where an animation is heading, not where it currently is
+        const zoom = this.animationTarget ? this.animationTarget.zoom : this.currentZoom;
+        this.announcer.textContent = this.t('zoomLevel', { zoom: zoom / this.getZoomReference(this.options.announceZoomUnits) });
+    }
+    
+    /**
+     * Announce the current gallery image for screen readers.
+     * 
+     * Reads out the image number and its alt text.
+     * 
+     * @return {void}
+     */
+    announceImage() {
+        if (!this.announcer) return;
+        const image = this.images[this.currentIndex];
+        this.announcer.textContent = this.t('imagePosition', {
+            index: this.currentIndex + 1,
+            count: this.images.length,
+            alt: image.alt || ''
+        });
+    }
+    
+    /**
+     * Announce the visible part of the image after the view settles.
+     * 
+     * Debounced by announceDelay, so a gesture, wheel spin or held arrow
+     * key is described once where it ends instead of at every step.
+     * 
+     * @return {void}
+     */
+    announcePosition() {
+        if (!this.announcer) return;
+        
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            this.announceTimer = null;
+            this.announcer.textContent = this.describeView();
+        }, this.options.announceDelay);
+    }
+    
+    /**
+     * Describe which part of the image is visible and at which zoom.
+     * 
+     * The visible region is named after the ninth of the image its
+     * center falls in, e.g. "Visar övre vänstra delen, 250 %".
+     * 
+     * @return {string} Description for screen readers
+     */
+    describeView() {
+        const { width, height } = this.getImageSize();
+        const region = this.getVisibleRegion();
+        const zoom = this.currentZoom / this.getZoomReference(this.options.announceZoomUnits);
+        
+        if (region.width >= width * 0.95 && region.height >= height * 0.95) {
+            return this.t('regionWhole', { zoom });
+        }
+        
+        const areas = [
+            ['areaTopLeft', 'areaTop', 'areaTopRight'],
+            ['areaLeft', 'areaCenter', 'areaRight'],
+            ['areaBottomLeft', 'areaBottom', 'areaBottomRight']
+        ];
+        const column = Math.min(Math.floor((region.x + region.width / 2) / width * 3), 2);
+        const row = Math.min(Math.floor((region.y + region.height / 2) / height * 3), 2);
+        
+        return this.t('regionPart', { area: this.t(areas[row][column]), zoom });
+    }
+    
+    /**
+     * Announce a rotation or mirroring change.
+     * 
+     * @param {string} message - Text to announce
+     * @return {void}
+     */
+    announceOrientation(message) {
+        if (!this.announcer) return;
+        this.announcer.textContent = message;
+    }
+    
+    /**
+     * Announce the visible region shown by the navigator.
+     * 
+     * @return {void}
+     */
+    announceNavigator() {
+        if (!this.announcer) return;
+        
+        const { width: imgWidth, height: imgHeight } = this.getImageSize();
+        if (imgWidth === 0 || imgHeight === 0) return;
+        
+        const region = this.getVisibleRegion();
+        
+        this.announcer.textContent = this.t('visibleRegion', {
+            left: region.x / imgWidth,
+            right: (region.x + region.width) / imgWidth,
+            top: region.y / imgHeight,
+            bottom: (region.y + region.height) / imgHeight
+        });
+    }
+    
+    /**
+     * Show the keyboard help and move focus into it.
+     * 
+     * @return {void}
+     */
+    openHelp() {
+        if (!this.help || this.isHelpOpen()) return;
+        
+        this.helpReturnFocus = document.activeElement;
+        this.help.hidden = false;
+        (this.closeHelpBtn || this.help).focus();
+    }
+    
+    /**
+     * Hide the keyboard help and return focus to where it was.
+     * 
+     * @return {void}
+     */
+    closeHelp() {
+        if (!this.isHelpOpen()) return;
+        
+        this.help.hidden = true;
+        if (this.helpReturnFocus && this.helpReturnFocus.focus) {
+            this.helpReturnFocus.focus({ preventScroll: true });
+        }
+        this.helpReturnFocus = null;
+    }
+    
+    /**
+     * Check whether the keyboard help is shown.
+     * 
+     * @return {boolean} True while the help is open
+     */
+    isHelpOpen() {
+        return Boolean(this.help) && !this.help.hidden;
+    }
+    
+    /**
+     * Keep Tab focus inside the open help or launcher dialog.
+     * 
+     * Wraps from the last focusable element to the first and back.
+     * A viewer that owns the page doesn't trap focus.
+     * 
+     * @param {KeyboardEvent} e - The Tab keydown event
+     * @return {void}
+     */
+    trapFocus(e) {
+        const scope = this.isHelpOpen() ? this.help : this.options.launcher && this.isOpen ? this.root : null;
+        if (!scope) return;
+        
+        const focusable = [...scope.querySelectorAll(FullscreenImageZoom.focusableSelector)]
+            .filter((element) => !element.closest('[hidden]'));
+        if (focusable.length === 0) return;
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        
+        if (e.shiftKey && (active === first || !scope.contains(active))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !scope.contains(active))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    /**
+     * Get a message in the viewer's language.
+     * 
+     * Placeholders like {count} are replaced by the given values, numbers
+     * formatted for the locale. {zoom, percent} formats a ratio as a
+     * percentage, so 1.5 becomes "150 %" in Swedish and "150%" in English.
+     * 
+     * @param {string} key - Message key from FullscreenImageZoom.messages
+     * @param {Object} [values] - Values for the placeholders
+     * @return {string} The formatted message, or the key when there is no such message
+     */
+    t(key, values = {}) {
+        const message = this.strings[key] !== undefined ? this.strings[key] : key;
+        
+        return message.replace(/\{(\w+)(?:, *(number|percent))?\}/g, (match, name, format) => {
+            const value = values[name];
+            
+            if (value === undefined) {
+                return match;
+            }
+            if (format === 'percent') {
+                return new Intl.NumberFormat(this.locale, { style: 'percent', maximumFractionDigits: 0 }).format(value);
+            }
+            if (format === 'number' || typeof value === 'number') {
+                return new Intl.NumberFormat(this.locale).format(value);
+            }
+            return value;
+        });
+    }
+    
+    /**
+     * Translate the viewer markup.
+     * 
+     * Elements name their message with data-i18n for the text content
+     * and data-i18n-<attribute> for an attribute, for example
+     * data-i18n-aria-label="zoomIn". The markup's own text is kept where
+     * there is no message.
+     * 
+     * @return {void}
+     */
+    localize() {
+        [this.root, ...this.root.querySelectorAll('*')].forEach((element) => {
+            [...element.attributes].forEach(({ name, value }) => {
+                if (!name.startsWith('data-i18n') || this.strings[value] === undefined) return;
+                
+                if (name === 'data-i18n') {
+                    this.saveMarkup(element, null);
+                    element.textContent = this.t(value);
+                } else {
+                    const attribute = name.slice('data-i18n-'.length);
+                    
+                    this.saveMarkup(element, attribute);
+                    element.setAttribute(attribute, this.t(value));
+                }
+            });
+        });
+        
+        if (this.dir === 'rtl') {
+            this.saveMarkup(this.root, 'dir');
+            this.root.setAttribute('dir', 'rtl');
+        }
+    }
+    
+    /**
+     * Pick the language of the viewer.
+     * 
+     * The locale option wins, then the language of the page (lang
+     * attribute around the viewer, usually <html lang>), then the
+     * browser's language. Languages without a bundled catalogue are
+     * skipped unless set explicitly; the fallback is Swedish.
+     * 
+     * @return {string} BCP 47 language tag
+     */
+    getLocale() {
+        if (this.options.locale) {
+            return this.options.locale;
+        }
+        
+        const element = this.root.closest('[lang]');
+        const candidates = [element && element.getAttribute('lang'), navigator.language];
+        
+        return candidates.find((tag) => tag && FullscreenImageZoom.getCatalogue(tag)) || 'sv';
+    }
+    
+    /**
+     * Work out the writing direction.
+     * 
+     * The dir option wins, then the dir attribute around the viewer,
+     * then the script of the locale.
+     * 
+     * @return {string} 'ltr' or 'rtl'
+     */
+    getDirection() {
+        if (this.options.dir) {
+            return this.options.dir;
+        }
+        
+        const element = this.root.closest('[dir]');
+        if (element) {
+            return element.getAttribute('dir') === 'rtl' ? 'rtl' : 'ltr';
+        }
+        
+        const language = this.locale.toLowerCase().split('-')[0];
+        return FullscreenImageZoom.rtlLanguages.includes(language) ? 'rtl' : 'ltr';
+    }
+    
+    /**
+     * Find the bundled catalogue for a language tag.
+     * 
+     * @param {string} locale - BCP 47 language tag, e.g. 'en-GB'
+     * @return {Object|null} Messages by key, null when none is bundled
+     */
+    static getCatalogue(locale) {
+        const tag = locale.toLowerCase();
+        return FullscreenImageZoom.messages[tag] || FullscreenImageZoom.messages[tag.split('-')[0]] || null;
+    }
+}
+
+/**
+ * Default configuration for FullscreenImageZoom instances.
+ * 
+ * Any of these can be overridden per instance through the options
+ * argument of the constructor. Selectors are merged key by key.
+ */
+FullscreenImageZoom.defaults = {
+    minZoom: null, // In zoomUnits, null derives the minimum from the fit-to-viewport scale
+    maxZoom: 5, // In zoomUnits
+    zoomStep: 1.25, // Factor per zoom in/out step
+    zoomUnits: 'natural', // 'natural' measures zoom in natural image pixels (1 = 100%), 'initial' relative to the initial scale
+    announceZoomUnits: 'initial', // Units of the zoom level read out to screen readers, like zoomUnits
+    initialFitMode: 'cover', // 'cover' fills viewport, 'contain' fits entire image
+    images: [], // Gallery sources: [{src, alt, caption, id}], leave empty to use the markup's image
+    startIndex: 0,
+    rememberZoom: false, // Keep zoom and position per gallery image instead of resetting
+    loop: false,
+    tileSource: null, // Deep zoom: URL of a .dzi descriptor or IIIF info.json, e.g. 'tiles/bird.dzi'
+    previewSrc: null, // Progressive loading: small image shown while the full resolution loads
+    src: null, // Progressive loading: full-resolution source, defaults to the markup's image
+    srcset: [], // Progressive loading: intermediate sources [{src, width}] or 'bird-1600.jpg 1600w, ...'
+    swipeThreshold: 50, // Minimum horizontal swipe in px to change image when zoomed out
+    animationDuration: 250, // ms, 0 disables animated zoom and pan
+    easing: 'easeOutCubic', // Name in FullscreenImageZoom.easings or a function
+    momentum: true, // Keep gliding after a pan is released
+    momentumFriction: 0.95, // Velocity kept per 16ms frame of momentum glide
+    rubberBand: 0.55, // Overscroll resistance at the edges, 0 for a hard stop
+    detailZoom: 2.5, // Double-click/tap zoom level, as a multiple of the initial scale
+    doubleTapDelay: 300, // ms between two taps that still count as a double tap
+    wheelSensitivity: 0.002, // Zoom per wheel pixel, applied as a factor of exp(-delta * sensitivity)
+    pinchSensitivity: 0.01, // Same for trackpad pinch (ctrl+wheel), which reports smaller deltas
+    wheelPan: false, // Pan with two-finger scroll / wheel instead of zooming, pinch still zooms
+    rotationGesture: true, // Rotate by twisting two fingers
+    rotationThreshold: 15, // Degrees of twist before a pinch starts rotating
+    rotationSnap: 10, // Degrees from a right angle within which a twisted image snaps to it
+    exifOrientation: true, // Apply the EXIF orientation of JPEGs in browsers that don't do it themselves
+    annotations: [], // Markers and regions in image percentages, see addAnnotation()
+    editMode: false, // Start in annotation edit mode, where clicks drop pins and drags draw rectangles
+    editPanModifier: 'altKey', // Modifier key that pans instead of draws in edit mode, e.g. 'shiftKey'
+    compare: null, // Second image to compare with, URL or {src, alt}, see setCompare()
+    compareMode: 'swipe', // How to compare: 'swipe' (divider over one view) or 'split' (side by side)
+    compareDivider: 0.5, // Initial swipe divider position, 0-1 of the container width
+    launcher: false, // Hidden modal overlay opened from thumbnails with open(), see data-image-zoom-open
+    fullscreen: true, // Request browser fullscreen when a launcher opens
+    locale: null, // Language of labels and announcements, e.g. 'en', defaults to the page or browser language
+    messages: {}, // Overrides for messages of FullscreenImageZoom.messages, by key
+    dir: null, // Writing direction 'ltr' or 'rtl', defaults to the page's dir or the locale
+    panStep: 0.05, // Arrow key pan distance as a fraction of the zoomed image size
+    keymap: {}, // Key bindings by action, e.g. { reset: 'x', close: false }, see FullscreenImageZoom.keymap
+    keyActions: {}, // Extra actions for the keymap by name: (viewer, event) => {}, return false to leave the key to the browser
+    blockBrowserZoom: false, // Block the browser's Ctrl+/-/0 and Ctrl+wheel zoom on the whole page
+    announceDelay: 500, // ms the view has to rest before its position is announced
+    deepLink: false, // Keep the view in the URL: 'hash', 'query' or false
+    deepLinkKey: null, // URL parameter name, defaults to the data-image-zoom value, the root's id or 'zoom' numbered by position on the page
+    deepLinkThrottle: 500, // ms between URL updates while the view changes
+    deepLinkHistoryDelay: 1000, // ms the view must stay still before the next change adds a history entry
+    navigatorSize: 160, // px, longest edge of the navigator thumbnail in the zoom indicator
+    thumbnailSrc: null, // Navigator thumbnail, defaults to the preview or the image itself
+    exportType: 'image/png', // File type of exportImage() and the download button: 'image/png', 'image/jpeg' or 'image/webp'
+    exportQuality: 0.92, // JPEG and WebP quality of exports (0-1)
+    loupe: false, // Start in loupe mode, where a magnifier follows the pointer instead of panning, see setLoupeMode()
+    loupeShape: 'circle', // Shape of the loupe: 'circle' or 'square'
+    loupeSize: 180, // px, width and height of the loupe
+    loupeZoom: 2.5, // Loupe magnification as a multiple of the image's current scale
+    loupeMaxZoom: 8, // Highest magnification the wheel can set
+    loupeHoldDelay: 300, // ms a finger or pen must be held down before the loupe appears
+    maxExportArea: 16777216, // Largest export in pixels, bigger exports are scaled down (4096 x 4096 fits every browser's canvas)
+    selectors: {
+        container: '.image-container',
+        image: '.image-container img',
+        indicator: '.zoom-indicator',
+        navigatorThumbnail: '.zoom-indicator-thumbnail',
+        navigatorViewport: '.zoom-indicator-inner',
+        announcer: '.zoom-announcer',
+        zoomIn: '[data-action="zoom-in"]',
+        zoomOut: '[data-action="zoom-out"]',
+        reset: '[data-action="reset"]',
+        close: '[data-action="close"]',
+        rotateLeft: '[data-action="rotate-left"]',
+        rotateRight: '[data-action="rotate-right"]',
+        flipHorizontal: '[data-action="flip-horizontal"]',
+        flipVertical: '[data-action="flip-vertical"]',
+        edit: '[data-action="edit"]',
+        undo: '[data-action="undo"]',
+        redo: '[data-action="redo"]',
+        noteEditor: '.annotation-editor',
+        compareMode: '[data-action="compare-mode"]',
+        download: '[data-action="download"]',
+        downloadOriginal: '[data-action="download-original"]',
+        loupe: '[data-action="loupe"]',
+        prev: '[data-action="prev"]',
+        next: '[data-action="next"]',
+        caption: '.image-caption',
+        loading: '.zoom-loading',
+        error: '.zoom-error',
+        retry: '[data-action="retry"]',
+        help: '.zoom-help',
+        closeHelp: '[data-action="close-help"]'
+    }
+};
+
+/**
+ * Easing functions available by name for animated zoom and pan.
+ * 
+ * Each maps animation progress (0-1) to eased progress (0-1).
+ */
+FullscreenImageZoom.easings = {
+    linear: (t) => t,
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+/**
+ * Rotation and mirroring for each EXIF orientation value.
+ * 
+ * Mirroring is applied before the rotation, like in the viewer's transform.
+ */
+FullscreenImageZoom.exifOrientations = {
+    1: { rotation: 0, flipX: false, flipY: false },
+    2: { rotation: 0, flipX: true, flipY: false },
+    3: { rotation: 180, flipX: false, flipY: false },
+    4: { rotation: 0, flipX: false, flipY: true },
+    5: { rotation: -90, flipX: true, flipY: false },
+    6: { rotation: 90, flipX: false, flipY: false },
+    7: { rotation: 90, flipX: true, flipY: false },
+    8: { rotation: -90, flipX: false, flipY: false }
+};
+
+/**
+ * Bundled UI messages by language.
+ * 
+ * Placeholders are filled in by t(): {name} takes a value as is (numbers
+ * formatted for the locale), {name, percent} a ratio as a percentage.
+ * Keys are referenced from the markup with data-i18n attributes.
+ */
+FullscreenImageZoom.messages = {
+    sv: {
+        viewer: 'Bildvisare med zoomfunktion',
+        loading: 'Laddar bild…',
+        loadError: 'Bilden kunde inte laddas.',
+        retry: 'Försök igen',
+        close: 'Stäng helskärmsläge (Escape)',
+        closeText: 'Stäng Helskärm',
+        navigator: 'Bildnavigator, flytta visat område med piltangenterna',
+        navigatorRole: 'navigatör',
+        controls: 'Zoomkontroller',
+        zoomIn: 'Zooma in',
+        zoomOut: 'Zooma ut',
+        rotateLeft: 'Rotera åt vänster (Shift+R)',
+        rotateRight: 'Rotera åt höger (R)',
+        flipHorizontal: 'Spegelvänd horisontellt',
+        flipVertical: 'Spegelvänd vertikalt',
+        edit: 'Redigera anteckningar',
+        undo: 'Ångra (Ctrl+Z)',
+        redo: 'Gör om (Ctrl+Shift+Z)',
+        compareMode: 'Visa bilderna sida vid sida',
+        download: 'Spara visad del av bilden',
+        downloadOriginal: 'Ladda ner originalbilden',
+        exportError: 'Bilden kunde inte sparas.',
+        loupe: 'Förstoringsglas',
+        reset: 'Återställ zoom till ursprunglig storlek',
+        resetText: 'Återställ',
+        previous: 'Föregående bild',
+        next: 'Nästa bild',
+        note: 'Anteckning',
+        save: 'Spara',
+        deleteAnnotation: 'Ta bort',
+        compareDivider: 'Jämförelsereglage',
+        dividerPosition: '{position, percent}',
+        zoomLevel: 'Zoom: {zoom, percent}',
+        imagePosition: 'Bild {index} av {count}: {alt}',
+        regionWhole: 'Visar hela bilden, {zoom, percent}',
+        regionPart: 'Visar {area}, {zoom, percent}',
+        areaTopLeft: 'övre vänstra delen',
+        areaTop: 'övre delen',
+        areaTopRight: 'övre högra delen',
+        areaLeft: 'vänstra delen',
+        areaCenter: 'mitten',
+        areaRight: 'högra delen',
+        areaBottomLeft: 'nedre vänstra delen',
+        areaBottom: 'nedre delen',
+        areaBottomRight: 'nedre högra delen',
+        help: 'Kortkommandon',
+        helpZoom: 'Zooma in och ut',
+        helpReset: 'Återställ zoom',
+        helpPan: 'Flytta bilden, eller byt bild när den är utzoomad',
+        helpEdges: 'Till bildens vänstra och högra kant',
+        helpPage: 'Till bildens övre och nedre kant',
+        helpRotate: 'Rotera åt höger och vänster',
+        helpToggle: 'Visa och dölj kortkommandon',
+        helpClose: 'Stäng visaren',
+        closeHelp: 'Stäng',
+        rotated: 'Roterad till {degrees}°',
+        flippedHorizontally: 'Spegelvänd horisontellt',
+        flippedVertically: 'Spegelvänd vertikalt',
+        compareSplit: 'Bilderna visas sida vid sida',
+        compareSwipe: 'Bilderna visas med skjutreglage',
+        visibleRegion: 'Visar {left, percent}–{right, percent} från vänster, {top, percent}–{bottom, percent} uppifrån'
+    },
+    en: {
+        viewer: 'Image viewer with zoom',
+        loading: 'Loading image…',
+        loadError: 'The image could not be loaded.',
+        retry: 'Try again',
+        close: 'Close fullscreen (Escape)',
+        closeText: 'Close fullscreen',
+        navigator: 'Image navigator, move the visible area with the arrow keys',
+        navigatorRole: 'navigator',
+        controls: 'Zoom controls',
+        zoomIn: 'Zoom in',
+        zoomOut: 'Zoom out',
+        rotateLeft: 'Rotate left (Shift+R)',
+        rotateRight: 'Rotate right (R)',
+        flipHorizontal: 'Flip horizontally',
+        flipVertical: 'Flip vertically',
+        edit: 'Edit annotations',
+        undo: 'Undo (Ctrl+Z)',
+        redo: 'Redo (Ctrl+Shift+Z)',
+        compareMode: 'Show the images side by side',
+        download: 'Save the visible part of the image',
+        downloadOriginal: 'Download the original image',
+        exportError: 'The image could not be saved.',
+        loupe: 'Magnifier',
+        reset: 'Reset zoom to original size',
+        resetText: 'Reset',
+        previous: 'Previous image',
+        next: 'Next image',
+        note: 'Note',
+        save: 'Save',
+        deleteAnnotation: 'Delete',
+        compareDivider: 'Comparison slider',
+        dividerPosition: '{position, percent}',
+        zoomLevel: 'Zoom: {zoom, percent}',
+        imagePosition: 'Image {index} of {count}: {alt}',
+        regionWhole: 'Showing the whole image, {zoom, percent}',
+        regionPart: 'Showing the {area}, {zoom, percent}',
+        areaTopLeft: 'top left',
+        areaTop: 'top',
+        areaTopRight: 'top right',
+        areaLeft: 'left side',
+        areaCenter: 'center',
+        areaRight: 'right side',
+        areaBottomLeft: 'bottom left',
+        areaBottom: 'bottom',
+        areaBottomRight: 'bottom right',
+        help: 'Keyboard shortcuts',
+        helpZoom: 'Zoom in and out',
+        helpReset: 'Reset zoom',
+        helpPan: 'Move the image, or change image when zoomed out',
+        helpEdges: 'To the left and right edge of the image',
+        helpPage: 'To the top and bottom edge of the image',
+        helpRotate: 'Rotate right and left',
+        helpToggle: 'Show and hide keyboard shortcuts',
+        helpClose: 'Close the viewer',
+        closeHelp: 'Close',
+        rotated: 'Rotated to {degrees}°',
+        flippedHorizontally: 'Flipped horizontally',
+        flippedVertically: 'Flipped vertically',
+        compareSplit: 'Images shown side by side',
+        compareSwipe: 'Images shown with a slider',
+        visibleRegion: 'Showing {left, percent}–{right, percent} from the left, {top, percent}–{bottom, percent} from the top'
+    }
+};
+
+/**
+ * Languages written right to left, by ISO 639-1 code.
+ */
+FullscreenImageZoom.rtlLanguages = ['ar', 'fa', 'he', 'ur', 'yi'];
+
+/**
+ * Keymap actions that trade places in right-to-left layouts.
+ */
+FullscreenImageZoom.rtlActions = {
+    panLeft: 'panRight',
+    panRight: 'panLeft',
+    panToLeft: 'panToRight',
+    panToRight: 'panToLeft'
+};
+
+/**
+ * Default keyboard shortcuts: key combinations by action.
+ * 
+ * Each action takes a key combination or a list of them, see
+ * parseKeyCombo() for the format. Override entries with the keymap
+ * option, set to false to disable one. Actions without keys can be
+ * bound too.
+ */
+FullscreenImageZoom.keymap = {
+    zoomIn: ['+', '='],
+    zoomOut: '-',
+    reset: '0',
+    close: 'Escape',
+    rotateRight: 'r',
+    rotateLeft: 'Shift+r',
+    flipHorizontal: [],
+    flipVertical: [],
+    panLeft: 'ArrowLeft',
+    panRight: 'ArrowRight',
+    panUp: 'ArrowUp',
+    panDown: 'ArrowDown',
+    panToLeft: 'Home',
+    panToRight: 'End',
+    panToTop: 'PageUp',
+    panToBottom: 'PageDown',
+    previous: [],
+    next: [],
+    edit: [],
+    loupe: [],
+    undo: 'Mod+z',
+    redo: ['Mod+Shift+z', 'Mod+y'],
+    help: '?'
+};
+
+/**
+ * What each keymap action does.
+ * 
+ * Called with the viewer and the keyboard event. An action returns
+ * false when it doesn't apply, leaving the key to the browser.
+ */
+FullscreenImageZoom.keyActions = {
+    zoomIn: (viewer) => viewer.zoomIn(),
+    zoomOut: (viewer) => viewer.zoomOut(),
+    reset: (viewer) => viewer.reset(),
+    close: (viewer) => viewer.close(),
+    rotateRight: (viewer) => viewer.rotateRight(),
+    rotateLeft: (viewer) => viewer.rotateLeft(),
+    flipHorizontal: (viewer) => viewer.flipHorizontal(),
+    flipVertical: (viewer) => viewer.flipVertical(),
+    // In a gallery that isn't zoomed in, left and right change the image
+    panLeft: (viewer) => (viewer.isGallery() && viewer.isZoomedOut() ? viewer.previous() : viewer.panByStep(1, 0)),
+    panRight: (viewer) => (viewer.isGallery() && viewer.isZoomedOut() ? viewer.next() : viewer.panByStep(-1, 0)),
+    panUp: (viewer) => viewer.panByStep(0, 1),
+    panDown: (viewer) => viewer.panByStep(0, -1),
+    panToLeft: (viewer) => {
+        viewer.panToEdge('left');
+        viewer.announcePosition();
+    },
+    panToRight: (viewer) => {
+        viewer.panToEdge('right');
+        viewer.announcePosition();
+    },
+    panToTop: (viewer) => {
+        viewer.panToEdge('top');
+        viewer.announcePosition();
+    },
+    panToBottom: (viewer) => {
+        viewer.panToEdge('bottom');
+        viewer.announcePosition();
+    },
+    previous: (viewer) => viewer.previous(),
+    next: (viewer) => viewer.next(),
+    edit: (viewer) => viewer.setEditMode(!viewer.isEditing),
+    loupe: (viewer) => viewer.setLoupeMode(!viewer.isLoupeMode),
+    // Outside edit mode Ctrl+Z stays the browser's
+    undo: (viewer) => (viewer.isEditing ? viewer.undo() : false),
+    redo: (viewer) => (viewer.isEditing ? viewer.redo() : false),
+    help: (viewer) => viewer.openHelp()
+};
+
+/**
+ * Display names of keys in the keyboard help.
+ */
+FullscreenImageZoom.keyLabels = {
+    ArrowLeft: '←',
+    ArrowUp: '↑',
+    ArrowRight: '→',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    PageUp: 'Page Up',
+    PageDown: 'Page Down',
+    ' ': 'Space'
+};
+
+/**
+ * Elements that take part in Tab navigation inside the viewer.
+ */
+FullscreenImageZoom.focusableSelector = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'textarea:not([disabled])',
+    'select:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Public events and the option name of their matching callback.
+ * 
+ * Events are dispatched from the image container and bubble. Each
+ * event's detail holds the current zoom (raw scale), zoomLevel (in
+ * zoomUnits), translateX, translateY, rotation, flipX, flipY and
+ * visibleRegion (natural image pixels). Only 'close' and
+ * 'annotationclick' are cancelable, the latter zooms to the annotation.
+ * 'open' carries the launcher's trigger element.
+ * 'imagechange' additionally carries the new gallery index, 'imageerror'
+ * the src or error that failed to load, 'annotationclick' and
+ * 'annotationfocus' the annotation, 'annotationchange' the edited
+ * list of annotations.
+ */
+FullscreenImageZoom.events = {
+    zoomchange: 'onZoomChange',
+    panchange: 'onPanChange',
+    orientationchange: 'onOrientationChange',
+    gesturestart: 'onGestureStart',
+    gestureend: 'onGestureEnd',
+    reset: 'onReset',
+    open: 'onOpen',
+    close: 'onClose',
+    imagechange: 'onImageChange',
+    imageload: 'onImageLoad',
+    imageerror: 'onImageError',
+    annotationclick: 'onAnnotationClick',
+    annotationfocus: 'onAnnotationFocus',
+    annotationchange: 'onAnnotationChange'
+};
+
+/**
+ * TileSource describes a tiled image pyramid for deep zoom rendering.
+ *
+ * Reads Deep Zoom (.dzi) descriptors and IIIF Image API info.json
+ * documents into one shape: the full-resolution size plus a list of
+ * levels from coarsest to finest, each with its own scale and tile grid.
+ * Tile rectangles are always expressed in full-resolution pixels, the
+ * same coordinate space FullscreenImageZoom uses for the image.
+ */
+class TileSource {
+    /**
+     * Create a tile source from a normalised description.
+     * 
+     * @constructor
+     * @param {Object} description - {width, height, tileWidth, tileHeight, overlap, scales, getTileUrl}
+     */
+    constructor({ width, height, tileWidth, tileHeight, overlap = 0, scales, getTileUrl }) {
+        this.width = width;
+        this.height = height;
+        this.tileWidth = tileWidth;
+        this.tileHeight = tileHeight;
+        this.overlap = overlap;
+        this.getTileUrl = getTileUrl;
+        
+        this.levels = scales.slice().sort((a, b) => a - b).map((scale, index) => {
+            const levelWidth = Math.ceil(width * scale);
+            const levelHeight = Math.ceil(height * scale);
+            
+            return {
+                index,
+                scale,
+                width: levelWidth,
+                height: levelHeight,
+                columns: Math.ceil(levelWidth / tileWidth),
+                rows: Math.ceil(levelHeight / tileHeight)
+            };
+        });
+    }
+    
+    /**
+     * Fetch and parse a .dzi descriptor or IIIF info.json.
+     * 
+     * Relative URLs work, so a static tile directory next to the
+     * page is enough to serve a deep zoom image.
+     * 
+     * @param {string} url - Descriptor URL
+     * @return {Promise<TileSource>} The parsed tile source
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        
+        if (!response.ok) {
+            throw new Error(`Could not load tile source ${url} (HTTP ${response.status})`);
+        }
+        
+        const text = await response.text();
+        const absoluteUrl = new URL(url, document.baseURI).href;
+        
+        return text.trim().startsWith('{')
+            ? TileSource.fromIiif(JSON.parse(text))
+            : TileSource.fromDzi(text, absoluteUrl);
+    }
+    
+    /**
+     * Create a tile source from a Deep Zoom XML descriptor.
+     * 
+     * Deep Zoom halves the image per level down to a single pixel and
+     * serves tiles as {name}_files/{level}/{column}_{row}.{format}
+     * next to the descriptor.
+     * 
+     * @param {string} xml - Descriptor contents
+     * @param {string} url - Absolute descriptor URL, tiles are resolved against it
+     * @return {TileSource} The parsed tile source
+     */
+    static fromDzi(xml, url) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        const image = doc.getElementsByTagName('Image')[0];
+        const size = doc.getElementsByTagName('Size')[0];
+        
+        if (!image || !size) {
+            throw new Error(`Invalid Deep Zoom descriptor ${url}`);
+        }
+        
+        const width = parseInt(size.getAttribute('Width'), 10);
+        const height = parseInt(size.getAttribute('Height'), 10);
+        const tileSize = parseInt(image.getAttribute('TileSize'), 10);
+        const format = image.getAttribute('Format');
+        const maxLevel = Math.ceil(Math.log2(Math.max(width, height)));
+        const base = url.replace(/\.(dzi|xml)(\?.*)?$/i, '');
+        
+        const scales = [];
+        for (let level = 0; level <= maxLevel; level++) {
+            scales.push(Math.pow(2, level - maxLevel));
+        }
+        
+        return new TileSource({
+            width,
+            height,
+            tileWidth: tileSize,
+            tileHeight: tileSize,
+            overlap: parseInt(image.getAttribute('Overlap'), 10) || 0,
+            scales,
+            // Levels map one to one onto Deep Zoom level numbers
+            getTileUrl: (level, column, row) => `${base}_files/${level.index}/${column}_${row}.${format}`
+        });
+    }
+    
+    /**
+     * Create a tile source from an IIIF Image API info.json.
+     * 
+     * Supports Image API 2 and 3. Each advertised scale factor becomes
+     * a level, and tiles are requested by region and width. Without
+     * advertised tiles the image is halved per level until it fits in
+     * a single 512 pixel tile.
+     * 
+     * @param {Object} info - Parsed info.json
+     * @return {TileSource} The parsed tile source
+     */
+    static fromIiif(info) {
+        const id = (info.id || info['@id']).replace(/\/$/, '');
+        const tiles = (info.tiles && info.tiles[0]) || { width: 512 };
+        const tileWidth = tiles.width;
+        const tileHeight = tiles.height || tiles.width;
+        
+        let scaleFactors = tiles.scaleFactors;
+        if (!scaleFactors) {
+            const maxLevel = Math.max(Math.ceil(Math.log2(Math.max(info.width / tileWidth, info.height / tileHeight))), 0);
+            
+            scaleFactors = [];
+            for (let level = 0; level <= maxLevel; level++) {
+                scaleFactors.push(Math.pow(2, level));
+            }
+        }
+        
+        return new TileSource({
+            width: info.width,
+            height: info.height,
+            tileWidth,
+            tileHeight,
+            scales: scaleFactors.map((factor) => 1 / factor),
+            getTileUrl: (level, column, row, rect) => {
+                const region = [rect.x, rect.y, rect.width, rect.height].map(Math.round).join(',');
+                const size = Math.ceil(rect.width * level.scale);
+                return `${id}/${region}/${size},/0/default.jpg`;
+            }
+        });
+    }
+    
+    /**
+     * Get the finest level that still fits in a single tile.
+     * 
+     * @return {Object|null} Entry of this.levels, null when even the coarsest level needs several tiles
+     */
+    getBackdropLevel() {
+        return this.levels.filter((level) => level.columns === 1 && level.rows === 1).pop() || null;
+    }
+    
+    /**
+     * Get position and URL of a single tile.
+     * 
+     * Interior tile edges are widened by the overlap, as Deep Zoom
+     * tiles include those extra pixels.
+     * 
+     * @param {Object} level - Entry of this.levels
+     * @param {number} column - Tile column
+     * @param {number} row - Tile row
+     * @return {Object} Tile: {url, x, y, width, height} in full-resolution pixels
+     */
+    getTile(level, column, row) {
+        const left = column * this.tileWidth - (column > 0 ? this.overlap : 0);
+        const top = row * this.tileHeight - (row > 0 ? this.overlap : 0);
+        const right = Math.min((column + 1) * this.tileWidth + this.overlap, level.width);
+        const bottom = Math.min((row + 1) * this.tileHeight + this.overlap, level.height);
+        
+        const rect = {
+            x: left / level.scale,
+            y: top / level.scale,
+            width: Math.min(right / level.scale, this.width) - left / level.scale,
+            height: Math.min(bottom / level.scale, this.height) - top / level.scale
+        };
+        
+        return { url: this.getTileUrl(level, column, row, rect), ...rect };
+    }
+    
+    /**
+     * Find the tiles of a level that cover a region.
+     * 
+     * @param {Object} level - Entry of this.levels
+     * @param {Object} region - Area in full-resolution pixels: {x, y, width, height}
+     * @return {Array<Object>} Tile positions: [{column, row}]
+     */
+    getTilesInRegion(level, region) {
+        const tileWidth = this.tileWidth / level.scale;
+        const tileHeight = this.tileHeight / level.scale;
+        
+        const firstColumn = Math.max(Math.floor(region.x / tileWidth), 0);
+        const lastColumn = Math.min(Math.floor((region.x + region.width) / tileWidth), level.columns - 1);
+        const firstRow = Math.max(Math.floor(region.y / tileHeight), 0);
+        const lastRow = Math.min(Math.floor((region.y + region.height) / tileHeight), level.rows - 1);
+        
+        const tiles = [];
+        
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                tiles.push({ column, row });
+            }
+        }
+        
+        return tiles;
+    }
+}
+
+/**
+ * TileLayer renders a TileSource inside a FullscreenImageZoom container.
+ * 
+ * The layer is a full-resolution sized element that receives the same
+ * transform as the image would, so the viewer's coordinate model
+ * (calculateBounds(), screenToImagePercent(), getVisibleRegion()) applies
+ * unchanged. Only tiles covering the visible region at the level that
+ * matches the current zoom are requested.
+ */
+class TileLayer {
+    /**
+     * Create the layer element inside the viewer's container.
+     * 
+     * @constructor
+     * @param {FullscreenImageZoom} viewer - The owning viewer
+     * @param {TileSource} source - The pyramid to render
+     * @param {HTMLElement} [parent] - Element to render into, defaults to the viewer's container
+     */
+    constructor(viewer, source, parent = viewer.container) {
+        this.viewer = viewer;
+        this.source = source;
+        this.tiles = new Map(); // Tile state by 'level/column/row'
+        this.needed = new Set();
+        
+        this.element = document.createElement('div');
+        this.element.className = 'tile-layer';
+        this.element.style.width = `${source.width}px`;
+        this.element.style.height = `${source.height}px`;
+        this.element.style.marginLeft = `${-source.width / 2}px`;
+        this.element.style.marginTop = `${-source.height / 2}px`;
+        
+        parent.appendChild(this.element);
+    }
+    
+    /**
+     * Apply the viewer's transform and bring the tiles up to date.
+     * 
+     * Keeps the coarsest single-tile level as a backdrop, if there is
+     * one, then adds the tiles of the level that matches the current zoom.
+     * Tiles that are no longer needed are removed once every needed
+     * tile has loaded, so zooming never flashes an empty area.
+     * 
+     * @param {string} transform - CSS transform of the image
+     * @param {number} [zoom] - Scale the tiles are shown at, defaults to the viewer's zoom
+     * @param {Object} [region] - Area to cover in full-resolution pixels, defaults to the visible region
+     * @return {void}
+     */
+    update(transform, zoom = this.viewer.currentZoom, region = this.viewer.getVisibleRegion()) {
+        this.element.style.transform = transform;
+        
+        const backdrop = this.source.getBackdropLevel();
+        const detail = this.getLevelForZoom(zoom);
+        const fullImage = { x: 0, y: 0, width: this.source.width, height: this.source.height };
+        
+        this.needed = new Set([
+            ...(backdrop ? this.showTiles(backdrop, fullImage) : []),
+            ...this.showTiles(detail, region)
+        ]);
+        this.pruneTiles();
+    }
+    
+    /**
+     * Find the coarsest level that is still sharp at the given zoom.
+     * 
+     * @param {number} zoom - Current scale factor of the image
+     * @return {Object} Entry of source.levels
+     */
+    getLevelForZoom(zoom) {
+        const levels = this.source.levels;
+        const requiredScale = zoom * (window.devicePixelRatio || 1);
+        
+        return levels.find((level) => level.scale >= requiredScale) || levels[levels.length - 1];
+    }
+    
+    /**
+     * Ensure tile elements exist for a region at one level.
+     * 
+     * @param {Object} level - Entry of source.levels
+     * @param {Object} region - Area in full-resolution pixels: {x, y, width, height}
+     * @return {Array<string>} Keys of the tiles covering the region
+     */
+    showTiles(level, region) {
+        return this.source.getTilesInRegion(level, region).map(({ column, row }) => {
+            const key = `${level.index}/${column}/${row}`;
+            
+            if (!this.tiles.has(key)) {
+                this.tiles.set(key, this.createTile(level, column, row));
+            }
+            return key;
+        });
+    }
+    
+    /**
+     * Create and start loading a single tile image.
+     * 
+     * @param {Object} level - Entry of source.levels
+     * @param {number} column - Tile column
+     * @param {number} row - Tile row
+     * @return {Object} Tile state: {element, loaded}
+     */
+    createTile(level, column, row) {
+        const tile = this.source.getTile(level, column, row);
+        const element = document.createElement('img');
+        const state = { element, loaded: false };
+        
+        element.alt = '';
+        element.draggable = false;
+        element.decoding = 'async';
+        element.style.left = `${tile.x}px`;
+        element.style.top = `${tile.y}px`;
+        element.style.width = `${tile.width}px`;
+        element.style.height = `${tile.height}px`;
+        // Finer levels stack on top of coarser ones
+        element.style.zIndex = level.index;
+        
+        // A failed tile counts as done so it can't hold back pruning forever
+        element.onload = element.onerror = () => {
+            state.loaded = true;
+            this.pruneTiles();
+        };
+        element.src = tile.url;
+        
+        this.element.appendChild(element);
+        return state;
+    }
+    
+    /**
+     * Remove tiles outside the needed set once the needed ones are loaded.
+     * 
+     * @return {void}
+     */
+    pruneTiles() {
+        const neededLoaded = [...this.needed].every((key) => this.tiles.get(key).loaded);
+        if (!neededLoaded) return;
+        
+        this.tiles.forEach((tile, key) => {
+            if (!this.needed.has(key)) {
+                tile.element.remove();
+                this.tiles.delete(key);
+            }
+        });
+    }
+    
+    /**
+     * Remove the layer and all its tiles from the container.
+     * 
+     * @return {void}
+     */
+    destroy() {
+        this.tiles.forEach((tile) => {
+            tile.element.onload = tile.element.onerror = null;
+        });
+        this.tiles.clear();
+        this.element.remove();
+    }
+}
+
+/**
+ * CompareLayer shows a second image for FullscreenImageZoom to compare with.
+ * 
+ * The image receives the viewer's transform and is sized like the
+ * viewer's image, so both always show the same region. In 'swipe' mode
+ * it covers the container right of a draggable divider, in 'split' mode
+ * it fills the right half of the container.
+ */
+class CompareLayer {
+    /**
+     * Create the layer element inside the viewer's container.
      * 
-     * @param {number} clientX - Screen X coordinate
-     * @param {number} clientY - Screen Y coordinate
-     * @return {Object} Coordinates as percentages: {x: number, y: number}
+     * @constructor
+     * @param {FullscreenImageZoom} viewer - The owning viewer
+     * @param {string} src - URL of the image to compare with
+     * @param {string} alt - Alternative text of that image
      */
-    screenToImagePercent(clientX, clientY) {
-        const rect = this.container.getBoundingClientRect();
+    constructor(viewer, src, alt) {
+        this.viewer = viewer;
+        this.dividerPointer = null;
         
-        // Get screen coordinates relative to container center
-        const screenX = clientX - rect.left - rect.width / 2;
-        const screenY = clientY - rect.top - rect.height / 2;
+        this.element = document.createElement('div');
+        this.element.className = 'compare-layer';
         
-        // Convert to image coordinates by accounting for current transform
-        const imageX = (screenX - this.translateX) / this.currentZoom;
-        const imageY = (screenY - this.translateY) / this.currentZoom;
+        this.image = document.createElement('img');
+        this.image.src = src;
+        this.image.alt = alt;
+        this.image.draggable = false;
+        this.image.addEventListener('load', () => this.viewer.updateTransform());
+        this.element.appendChild(this.image);
         
-        // Convert to percentage of image size
-        const imgWidth = this.imageElement.naturalWidth;
-        const imgHeight = this.imageElement.naturalHeight;
+        this.divider = document.createElement('div');
+        this.divider.className = 'compare-divider';
+        this.divider.tabIndex = 0;
+        this.divider.setAttribute('role', 'slider');
+        this.divider.setAttribute('aria-label', viewer.t('compareDivider'));
+        this.divider.setAttribute('aria-valuemin', 0);
+        this.divider.setAttribute('aria-valuemax', 100);
         
-        const percentX = (imageX / imgWidth) + 0.5; // +0.5 because image center is at 0,0
-        const percentY = (imageY / imgHeight) + 0.5;
+        this.divider.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.divider.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.divider.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.divider.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.divider.addEventListener('keydown', (e) => this.handleKeyboard(e));
         
-        return { x: percentX, y: percentY };
+        // Below the annotations, which belong to the viewer's own image
+        const annotationElement = viewer.annotationLayer ? viewer.annotationLayer.element : null;
+        viewer.container.insertBefore(this.element, annotationElement);
+        viewer.container.insertBefore(this.divider, annotationElement);
     }
     
     /**
-     * Convert image percentage coordinates back to screen coordinates.
+     * Show the image in split panes or behind the swipe divider.
      * 
-     * Transforms image-relative percentages to screen-space coordinates
-     * using specified zoom and translation values. Used for positioning
-     * calculations during zoom operations.
+     * @param {string} mode - 'split' or 'swipe'
+     * @return {void}
+     */
+    setMode(mode) {
+        this.element.classList.toggle('is-split', mode === 'split');
+        this.divider.hidden = mode === 'split';
+    }
+    
+    /**
+     * Move the swipe divider and clip the image to its right.
      * 
-     * @param {number} percentX - X percentage (0-1) of image width
-     * @param {number} percentY - Y percentage (0-1) of image height
-     * @param {number} zoom - Zoom level to use for calculation
-     * @param {number} translateX - X translation to apply
-     * @param {number} translateY - Y translation to apply
-     * @return {Object} Screen coordinates relative to container center: {x: number, y: number}
+     * @param {number} position - Divider position, 0-1 of the container width
+     * @return {void}
      */
-    imagePercentToScreen(percentX, percentY, zoom, translateX, translateY) {
-        const imgWidth = this.imageElement.naturalWidth;
-        const imgHeight = this.imageElement.naturalHeight;
-        
-        // Convert percentage to image coordinates
-        const imageX = (percentX - 0.5) * imgWidth;
-        const imageY = (percentY - 0.5) * imgHeight;
-        
-        // Convert to screen coordinates
-        const screenX = (imageX * zoom) + translateX;
-        const screenY = (imageY * zoom) + translateY;
+    setDivider(position) {
+        const percent = Math.round(position * 1000) / 10;
         
-        return { x: screenX, y: screenY };
-    }    
+        this.element.style.setProperty('--compare-divider', `${percent}%`);
+        this.divider.style.left = `${percent}%`;
+        this.divider.setAttribute('aria-valuenow', Math.round(percent));
+        this.divider.setAttribute('aria-valuetext', this.viewer.t('dividerPosition', { position }));
+    }
     
     /**
-     * Zoom to a specific point with percentage-based coordinate tracking.
+     * Apply the viewer's transform to the image.
      * 
-     * Implements precise zoom-to-point functionality by converting screen
-     * coordinates to image percentages, applying zoom change, then repositioning
-     * to keep the same image area under the cursor/finger.
-     * 
-     * @param {number} clientX - X coordinate of zoom origin in screen space
-     * @param {number} clientY - Y coordinate of zoom origin in screen space
-     * @param {number} deltaZoom - Amount to zoom in (+) or out (-)
+     * @param {string} transform - CSS transform of the viewer's image
      * @return {void}
      */
-    zoomToPoint(clientX, clientY, deltaZoom) {
-        // Convert screen coordinates to image percentage
-        const imagePercent = this.screenToImagePercent(clientX, clientY);
-        
-        const oldZoom = this.currentZoom;
-        const newZoom = Math.min(Math.max(this.currentZoom + deltaZoom, this.minZoom), this.maxZoom);
-        
-        // Only proceed if zoom actually changed
-        if (newZoom === oldZoom) {
-            return;
-        }
-        
-        // Calculate where this image point should be on screen after zoom
-        const rect = this.container.getBoundingClientRect();
-        const targetScreenX = clientX - rect.left - rect.width / 2;
-        const targetScreenY = clientY - rect.top - rect.height / 2;
-        
-        // Calculate what translation would put the image point at the target screen position
-        const imgWidth = this.imageElement.naturalWidth;
-        const imgHeight = this.imageElement.naturalHeight;
-          const imageX = (imagePercent.x - 0.5) * imgWidth;
-        const imageY = (imagePercent.y - 0.5) * imgHeight;
-        
-        this.translateX = targetScreenX - (imageX * newZoom);
-        this.translateY = targetScreenY - (imageY * newZoom);
-        this.currentZoom = newZoom;
+    update(transform) {
+        const { width, height } = this.viewer.getImageSize();
         
-        this.updateTransform();
-        this.updateButtons();
+        this.image.style.width = `${width}px`;
+        this.image.style.height = `${height}px`;
+        this.image.style.transform = transform;
     }
     
     /**
-     * Reset zoom and position to initial state.
+     * Start dragging the divider.
      * 
-     * Restores the image to its initial scale and centered position,
-     * effectively returning to the default view state.
+     * @param {PointerEvent} e - The pointer down event object
+     * @return {void}
+     */
+    handlePointerDown(e) {
+        // The divider is not a pan handle
+        e.stopPropagation();
+        e.preventDefault();
+        
+        this.dividerPointer = e.pointerId;
+        this.divider.setPointerCapture(e.pointerId);
+    }
+    
+    /**
+     * Move the divider with the pointer.
      * 
+     * @param {PointerEvent} e - The pointer move event object
      * @return {void}
      */
-    reset() {
-        this.currentZoom = this.initialScale;
-        this.translateX = 0;
-        this.translateY = 0;
-        this.updateTransform();
-        this.updateButtons();
-        this.announceZoom();
+    handlePointerMove(e) {
+        if (e.pointerId !== this.dividerPointer) return;
+        
+        e.stopPropagation();
+        const rect = this.viewer.container.getBoundingClientRect();
+        this.viewer.setCompareDivider((e.clientX - rect.left) / rect.width);
     }
     
     /**
-     * Close the fullscreen image viewer.
+     * Stop dragging the divider.
      * 
-     * Attempts to close the current window/tab. In production,
-     * this might trigger a modal close or navigation event.
+     * @param {PointerEvent} e - The pointer up or cancel event object
+     * @return {void}
+     */
+    handlePointerUp(e) {
+        if (e.pointerId !== this.dividerPointer) return;
+        
+        e.stopPropagation();
+        this.dividerPointer = null;
+    }
+    
+    /**
+     * Move the divider with the arrow, Home and End keys.
      * 
+     * @param {KeyboardEvent} e - The keyboard event object
      * @return {void}
      */
-    close() {
-        // This closes the fullscreen view.
-        window.close();
+    handleKeyboard(e) {
+        const viewer = this.viewer;
+        const positions = {
+            ArrowLeft: viewer.compareDivider - 0.05,
+            ArrowDown: viewer.compareDivider - 0.05,
+            ArrowRight: viewer.compareDivider + 0.05,
+            ArrowUp: viewer.compareDivider + 0.05,
+            Home: 0,
+            End: 1
+        };
+        if (!(e.key in positions)) return;
+        
+        // Keep the viewer from panning as well
+        e.preventDefault();
+        e.stopPropagation();
+        viewer.setCompareDivider(positions[e.key]);
     }
-      
+    
     /**
-     * Calculate the allowed translation bounds based on current zoom level.
+     * Remove the layer from the container.
      * 
-     * Determines the maximum and minimum translation values that will keep
-     * at least some part of the image visible within the viewport. For zoom
-     * levels below initial scale, constrains to center. For higher zoom levels,
-     * allows panning but prevents image from going completely out of bounds.
+     * @return {void}
+     */
+    destroy() {
+        this.element.remove();
+        this.divider.remove();
+    }
+}
+
+/**
+ * Loupe magnifies the part of a FullscreenImageZoom image under the pointer.
+ * 
+ * The loupe holds its own copy of the image at full resolution, or its
+ * own tile layer loading the deep zoom tiles it covers at its
+ * magnification, scaled by the viewer's loupeZoom and positioned with
+ * screenToImagePercent() so the point under the pointer sits in its
+ * center.
+ */
+class Loupe {
+    /**
+     * Create the loupe element inside the viewer's container.
      * 
-     * @return {Object} Bounds object: {minX, maxX, minY, maxY}
-     */    
-    calculateBounds() {
-        // Get container dimensions
-        const containerWidth = window.innerWidth;
-        const containerHeight = window.innerHeight;
+     * @constructor
+     * @param {FullscreenImageZoom} viewer - The owning viewer
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.point = null; // Pointer position in client coordinates: {x, y}
+        this.tileLayer = null;
         
-        // Get scaled image dimensions
-        const scaledWidth = this.imageElement.naturalWidth * this.currentZoom;
-        const scaledHeight = this.imageElement.naturalHeight * this.currentZoom;
+        this.element = document.createElement('div');
+        this.element.className = 'zoom-loupe';
+        this.element.classList.toggle('is-square', viewer.options.loupeShape === 'square');
+        this.element.style.width = `${viewer.options.loupeSize}px`;
+        this.element.style.height = `${viewer.options.loupeSize}px`;
+        this.element.setAttribute('aria-hidden', 'true');
+        this.element.hidden = true;
         
-        let minX, maxX, minY, maxY;
+        this.image = document.createElement('img');
+        this.image.alt = '';
+        this.image.draggable = false;
+        this.element.appendChild(this.image);
         
-        // Always calculate bounds based on whether the scaled image is larger than the container
-        // not based on zoom level relative to initial scale
+        viewer.container.appendChild(this.element);
+    }
+    
+    /**
+     * Show the loupe at its current position.
+     * 
+     * @return {void}
+     */
+    show() {
+        if (this.isVisible() || !this.point) return;
         
-        // Ensure at least 100px of image remains visible on each side when panning is allowed
-        const minVisibleArea = 100;
+        const viewer = this.viewer;
         
-        // Calculate bounds for X axis
-        if (scaledWidth <= containerWidth) {
-            // Image is smaller than or equal to container width - center it
-            minX = maxX = 0;
-        } else {
-            // Image is larger than container - allow panning but keep some visible
-            const halfScaledWidth = scaledWidth / 2;
-            const halfContainerWidth = containerWidth / 2;
-            const maxDistanceX = halfScaledWidth - halfContainerWidth;
-            const constrainedMaxX = Math.max(maxDistanceX - minVisibleArea, 0);
-            
-            minX = -constrainedMaxX;
-            maxX = constrainedMaxX;
+        // A tile layer of its own follows the viewer's tile source, if any
+        if (this.tileLayer && this.tileLayer.source !== viewer.tileSource) {
+            this.tileLayer.destroy();
+            this.tileLayer = null;
         }
+        this.image.hidden = Boolean(viewer.tileSource);
         
-        // Calculate bounds for Y axis
-        if (scaledHeight <= containerHeight) {
-            // Image is smaller than or equal to container height - center it
-            minY = maxY = 0;
+        if (viewer.tileSource) {
+            this.tileLayer = this.tileLayer || new TileLayer(viewer, viewer.tileSource, this.element);
         } else {
-            // Image is larger than container - allow panning but keep some visible
-            const halfScaledHeight = scaledHeight / 2;
-            const halfContainerHeight = containerHeight / 2;
-            const maxDistanceY = halfScaledHeight - halfContainerHeight;
-            const constrainedMaxY = Math.max(maxDistanceY - minVisibleArea, 0);
-            
-            minY = -constrainedMaxY;
-            maxY = constrainedMaxY;
+            const src = new URL(viewer.getSourceUrl(), document.baseURI).href;
+            if (this.image.src !== src) {
+                this.image.src = src;
+            }
         }
         
-        return { minX, maxX, minY, maxY };
+        this.element.hidden = false;
+        this.update();
     }
     
     /**
-     * Constrain translation values to stay within calculated bounds.
-     * 
-     * Applies bounds checking to current translateX and translateY values
-     * to ensure the image doesn't go completely out of view. Updates
-     * the instance translation properties with constrained values.
+     * Hide the loupe.
      * 
      * @return {void}
      */
-    constrainTranslation() {
-        const bounds = this.calculateBounds();
-        
-        this.translateX = Math.max(bounds.minX, Math.min(bounds.maxX, this.translateX));
-        this.translateY = Math.max(bounds.minY, Math.min(bounds.maxY, this.translateY));
+    hide() {
+        this.element.hidden = true;
     }
     
     /**
-     * Apply current zoom and translation to image element.
+     * Check whether the loupe is shown.
      * 
-     * Updates the CSS transform property with current translation
-     * and scale values to visually update the image position.
-     * Applies bounds checking before updating transform.
+     * @return {boolean} True while the loupe is visible
+     */
+    isVisible() {
+        return !this.element.hidden;
+    }
+    
+    /**
+     * Move the loupe to a pointer position.
      * 
+     * @param {number} clientX - X coordinate in the viewport
+     * @param {number} clientY - Y coordinate in the viewport
      * @return {void}
      */
-    updateTransform() {
-        // Apply bounds checking to prevent image from going out of bounds
-        this.constrainTranslation();
-        
-        const transform = `translate(${this.translateX}px, ${this.translateY}px) scale(${this.currentZoom})`;
-        this.imageElement.style.transform = transform;
+    moveTo(clientX, clientY) {
+        this.point = { x: clientX, y: clientY };
+        this.update();
     }
     
     /**
-     * Update zoom control button states and zoom indicator.
-     * 
-     * Enables/disables zoom in and zoom out buttons based on
-     * current zoom level relative to min/max limits, and updates
-     * the zoom indicator.
+     * Center the magnified image on the point under the pointer.
      * 
      * @return {void}
-     */    
-    updateButtons() {
-        const zoomInBtn = document.querySelector('[data-action="zoom-in"]');
-        const zoomOutBtn = document.querySelector('[data-action="zoom-out"]');
+     */
+    update() {
+        if (!this.isVisible() || !this.point) return;
         
-        zoomInBtn.disabled = this.currentZoom >= this.maxZoom;
-        zoomOutBtn.disabled = this.currentZoom <= this.minZoom;
+        const viewer = this.viewer;
+        const size = viewer.options.loupeSize;
+        const rect = viewer.container.getBoundingClientRect();
+        const { width, height } = viewer.getImageSize();
         
-        // Update zoom indicator
-        this.updateZoomIndicator();
+        const zoom = viewer.currentZoom * viewer.loupeZoom;
+        const percent = viewer.screenToImagePercent(this.point.x, this.point.y);
+        const offset = viewer.imagePercentToScreen(percent.x, percent.y, zoom, 0, 0);
+        const scaleX = zoom * (viewer.flipX ? -1 : 1);
+        const scaleY = zoom * (viewer.flipY ? -1 : 1);
+        const transform = `translate(${-offset.x}px, ${-offset.y}px) rotate(${viewer.rotation}deg) scale(${scaleX}, ${scaleY})`;
+        
+        this.element.style.transform = `translate(${this.point.x - rect.left - size / 2}px, ${this.point.y - rect.top - size / 2}px)`;
+        this.image.style.width = `${width}px`;
+        this.image.style.height = `${height}px`;
+        this.image.style.transform = transform;
+        
+        if (this.tileLayer) {
+            // Half the loupe's diagonal reaches its corners at any rotation
+            const reach = size * Math.SQRT2 / 2 / zoom;
+            
+            this.tileLayer.update(transform, zoom, {
+                x: percent.x * width - reach,
+                y: percent.y * height - reach,
+                width: reach * 2,
+                height: reach * 2
+            });
+        }
     }
-      /**
-     * Update zoom indicator visibility.
-     * 
-     * Shows indicator when image is cropped (zoomed beyond fit-to-viewport scale).
-     * The indicator is now a static picture-in-picture icon.
+    
+    /**
+     * Remove the loupe from the container.
      * 
      * @return {void}
      */
-    updateZoomIndicator() {
-        if (!this.zoomIndicator) return;
-        
-        // Get container and image dimensions
-        const containerWidth = window.innerWidth;
-        const containerHeight = window.innerHeight;
-        const imgWidth = this.imageElement.naturalWidth;
-        const imgHeight = this.imageElement.naturalHeight;
+    destroy() {
+        if (this.tileLayer) {
+            this.tileLayer.destroy();
+            this.tileLayer = null;
+        }
+        this.element.remove();
+    }
+}
+
+/**
+ * AnnotationLayer renders the annotations of a FullscreenImageZoom.
+ * 
+ * Unlike the tile layer it isn't transformed with the image: every
+ * annotation is placed in screen pixels through imagePercentToScreen(),
+ * so markers keep their size at any zoom and outlines keep their width.
+ * Markers are buttons, regions are focusable SVG polygons.
+ */
+class AnnotationLayer {
+    /**
+     * Create the layer element inside the viewer's container.
+     * 
+     * @constructor
+     * @param {FullscreenImageZoom} viewer - The owning viewer
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.elements = new Map(); // Element by annotation id
+        this.draft = null; // Outline of a rectangle being drawn: {element, points}
         
-        if (imgWidth === 0 || imgHeight === 0) return;
+        this.element = document.createElement('div');
+        this.element.className = 'annotation-layer';
+        this.element.hidden = true;
         
-        // Calculate the scale needed to fit entire image in viewport
-        const scaleX = containerWidth / imgWidth;
-        const scaleY = containerHeight / imgHeight;
-        const fitToViewportScale = Math.min(scaleX, scaleY);
+        this.shapes = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        this.shapes.setAttribute('class', 'annotation-shapes');
+        this.element.appendChild(this.shapes);
         
-        // Show indicator only when image is cropped (zoom > fit scale)
-        const isCropped = this.currentZoom > fitToViewportScale;
+        viewer.container.appendChild(this.element);
+    }
+    
+    /**
+     * Create the element for an annotation.
+     * 
+     * @param {Object} annotation - Stored annotation
+     * @return {void}
+     */
+    add(annotation) {
+        let element;
         
-        if (isCropped) {
-            this.zoomIndicator.classList.add('visible');
+        if (annotation.type === 'marker') {
+            element = document.createElement('button');
+            element.type = 'button';
+            element.className = `annotation-marker ${annotation.className || ''}`.trim();
+            element.title = annotation.label || annotation.note || '';
+            this.element.appendChild(element);
+            
+            // Buttons are clicked from the keyboard; pointer clicks are taps on the container
+            element.addEventListener('click', (e) => {
+                if (e.detail === 0) {
+                    this.viewer.activateAnnotation(annotation.id);
+                }
+            });
         } else {
-            this.zoomIndicator.classList.remove('visible');
+            element = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+            element.setAttribute('class', `annotation-shape ${annotation.className || ''}`.trim());
+            element.setAttribute('tabindex', '0');
+            element.setAttribute('role', 'button');
+            this.shapes.appendChild(element);
+            
+            element.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.viewer.activateAnnotation(annotation.id);
+                }
+            });
         }
+        
+        element.dataset.annotationId = annotation.id;
+        element.setAttribute('aria-label', annotation.label || annotation.note || annotation.id);
+        element.addEventListener('focus', () => {
+            this.viewer.emit('annotationfocus', { annotation: { ...annotation } });
+        });
+        
+        this.elements.set(annotation.id, element);
     }
-
+    
     /**
-     * Announce zoom level changes for screen readers.
+     * Remove the element of an annotation.
+     * 
+     * @param {string} id - Annotation id
+     * @return {void}
+     */
+    remove(id) {
+        const element = this.elements.get(id);
+        if (!element) return;
+        
+        element.remove();
+        this.elements.delete(id);
+    }
+    
+    /**
+     * Get the element of an annotation.
      * 
-     * Converts current zoom to percentage relative to initial scale
-     * and announces it in Swedish for accessibility compliance.
+     * @param {string} id - Annotation id
+     * @return {Element|undefined} The marker button or region polygon
+     */
+    getElement(id) {
+        return this.elements.get(id);
+    }
+    
+    /**
+     * Show or hide the outline of a shape being drawn.
      * 
+     * @param {Array<Array<number>>|null} points - Corners in image percentages, null to hide
      * @return {void}
      */
-    announceZoom() {
-        const announcer = document.getElementById('zoom-announcer');
-        const percentage = Math.round((this.currentZoom / this.initialScale) * 100);
-        announcer.textContent = `Zoom: ${percentage}%`;
+    setDraft(points) {
+        if (!points) {
+            if (this.draft) {
+                this.draft.element.remove();
+                this.draft = null;
+            }
+            return;
+        }
+        
+        if (!this.draft) {
+            const element = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+            element.setAttribute('class', 'annotation-shape annotation-draft');
+            this.shapes.appendChild(element);
+            this.draft = { element, points };
+        }
+        
+        this.draft.points = points;
+        this.update();
     }
     
     /**
-     * Announce position changes for keyboard navigation.
+     * Move every annotation to its place for the viewer's current view.
      * 
-     * Provides Swedish language feedback to screen readers
-     * when users navigate with arrow keys for accessibility.
+     * @return {void}
+     */
+    update() {
+        const viewer = this.viewer;
+        const rect = viewer.getViewportRect();
+        
+        // Screen position within the container of a point in image percentages
+        const toScreen = ([x, y]) => {
+            const point = viewer.imagePercentToScreen(x, y, viewer.currentZoom, viewer.translateX, viewer.translateY);
+            return [point.x + rect.width / 2, point.y + rect.height / 2];
+        };
+        
+        this.element.hidden = false;
+        
+        this.elements.forEach((element, id) => {
+            const annotation = viewer.annotations.get(id);
+            const points = viewer.getAnnotationPoints(annotation).map(toScreen);
+            
+            if (annotation.type === 'marker') {
+                element.style.transform = `translate(${points[0][0]}px, ${points[0][1]}px)`;
+            } else {
+                element.setAttribute('points', points.map((point) => point.join(',')).join(' '));
+            }
+        });
+        
+        if (this.draft) {
+            this.draft.element.setAttribute('points', this.draft.points.map(toScreen).map((point) => point.join(',')).join(' '));
+        }
+    }
+    
+    /**
+     * Remove the layer and all annotation elements from the container.
      * 
      * @return {void}
      */
-    announcePosition() {
-        const announcer = document.getElementById('zoom-announcer');
-        announcer.textContent = 'Bildposition ändrad';
+    destroy() {
+        this.elements.clear();
+        this.element.remove();
     }
 }
 
 /**
- * Initialize the fullscreen image zoom when DOM is ready.
+ * Initialize every image zoom viewer on the page when DOM is ready.
  * 
- * Creates a new FullscreenImageZoom instance once the document
- * has finished loading to ensure all elements are available.
+ * Creates one FullscreenImageZoom instance per element marked with
+ * the data-image-zoom attribute once the document has finished loading
+ * to ensure all elements are available.
  */
 document.addEventListener('DOMContentLoaded', () => {
-    new FullscreenImageZoom();
-});
\ No newline at end of file
+    document.querySelectorAll('[data-image-zoom]').forEach((root) => {
+        new FullscreenImageZoom(root, {
+            launcher: root.hasAttribute('data-image-zoom-launcher')
+        });
+    });
+});